@@ -8,6 +8,7 @@ import { requireAuth } from "./middleware/auth.js";
 
 // Import routes
 import transcodingRoutes from "./routes/transcoding.js";
+import presetRoutes from "./routes/presets.js";
 import dashboardRoutes from "./routes/dashboard.js";
 import authRoutes from "./routes/auth.js";
 
@@ -85,6 +86,7 @@ app.use((req, res, next) => {
 
 app.use("/", authRoutes);
 app.use("/api/transcode", transcodingRoutes);
+app.use("/api/presets", presetRoutes);
 
 app.get("/health", (req, res) => {
   res.json({
@@ -52,6 +52,17 @@ const requireAuth = (req, res, next) => {
   return res.redirect("/login");
 };
 
+// Middleware to check the API key on /api routes (no-op when API_KEY is unset)
+const requireApiKey = (req, res, next) => {
+  const apiKey =
+    req.headers["x-api-key"] ||
+    req.headers["authorization"]?.replace("Bearer ", "");
+  if (process.env.API_KEY && apiKey !== process.env.API_KEY) {
+    return res.status(401).json({ error: "Invalid API key" });
+  }
+  next();
+};
+
 // Middleware to add progressive delays for brute force protection
 const bruteForceProtection = (req, res, next) => {
   const ip = req.ip || req.connection.remoteAddress;
@@ -114,6 +125,7 @@ setInterval(
 
 export {
   requireAuth,
+  requireApiKey,
   loginLimiter,
   bruteForceProtection,
   recordFailedAttempt,
@@ -1,6 +1,12 @@
 import { Router } from "express";
 import { basename, extname } from "path";
-import { JobManager, LOG_LEVELS } from "../services/database.js";
+import {
+  JobManager,
+  PresetManager,
+  LOG_LEVELS,
+  DEFAULT_PRESET_NAME,
+  PRESET_NAME_REGEX,
+} from "../services/database.js";
 import { QueueManager } from "../services/queue.js";
 
 const router = Router();
@@ -174,6 +180,84 @@ router.get("/logs", async (req, res) => {
   }
 });
 
+// Encoding presets page
+router.get("/presets", async (req, res) => {
+  try {
+    const presets = await PresetManager.getAllPresets();
+
+    res.render("presets", {
+      title: "Encoding Presets",
+      presets,
+      defaultPresetName: DEFAULT_PRESET_NAME,
+      message: req.query.message || null,
+      error: req.query.error || null,
+      currentTime: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Presets error:", error);
+    res.render("error", {
+      title: "Error",
+      error: error.message,
+      stack: error.stack,
+    });
+  }
+});
+
+// Create or update a preset from the presets page form
+router.post("/presets", async (req, res) => {
+  const redirectWith = (key, text) =>
+    res.redirect(`/presets?${key}=${encodeURIComponent(text)}`);
+
+  try {
+    const name = (req.body.name || "").trim();
+    const description = (req.body.description || "").trim() || null;
+
+    if (!PRESET_NAME_REGEX.test(name)) {
+      return redirectWith(
+        "error",
+        "Preset name must contain only lowercase letters, numbers, hyphens, and underscores",
+      );
+    }
+
+    let ladder;
+    try {
+      ladder = JSON.parse(req.body.ladder || "");
+    } catch (parseError) {
+      return redirectWith(
+        "error",
+        `Ladder is not valid JSON: ${parseError.message}`,
+      );
+    }
+
+    const ladderErrors = PresetManager.validateLadder(ladder);
+    if (ladderErrors.length > 0) {
+      return redirectWith("error", ladderErrors.join("; "));
+    }
+
+    const existing = await PresetManager.getPreset(name);
+    const preset = existing
+      ? await PresetManager.updatePreset(name, ladder, description)
+      : await PresetManager.createPreset(name, ladder, description);
+
+    redirectWith("message", `Saved preset ${preset.name} (v${preset.version})`);
+  } catch (error) {
+    console.error("❌ Failed to save preset:", error);
+    redirectWith("error", error.message);
+  }
+});
+
+router.post("/presets/:name/delete", async (req, res) => {
+  try {
+    await PresetManager.deletePreset(req.params.name);
+    res.redirect(
+      `/presets?message=${encodeURIComponent(`Deleted preset ${req.params.name}`)}`,
+    );
+  } catch (error) {
+    console.error("❌ Failed to delete preset:", error);
+    res.redirect(`/presets?error=${encodeURIComponent(error.message)}`);
+  }
+});
+
 // API endpoint for job logs (for AJAX updates)
 router.get("/api/job/:jobId/logs", async (req, res) => {
   try {
@@ -290,6 +374,7 @@ router.post("/api/job/:jobId/retry", async (req, res) => {
       basename(job.original_key, extname(job.original_key));
     const environment = job.metadata?.environment || "production";
     const callbackUrl = job.metadata?.callbackUrl || null;
+    const options = job.metadata?.options || {};
 
     await QueueManager.addTranscodingJob(
       jobId,
@@ -299,6 +384,7 @@ router.post("/api/job/:jobId/retry", async (req, res) => {
       videoName,
       environment,
       callbackUrl,
+      options,
     );
 
     console.log(`🔄 Retrying job: ${jobId}`);
@@ -0,0 +1,147 @@
+import { Router } from "express";
+import {
+  PresetManager,
+  DEFAULT_PRESET_NAME,
+  PRESET_NAME_REGEX,
+} from "../services/database.js";
+import { requireApiKey as authenticate } from "../middleware/auth.js";
+
+const router = Router();
+
+router.get("/", async (req, res) => {
+  try {
+    const presets = await PresetManager.getAllPresets();
+    res.json({ success: true, presets });
+  } catch (error) {
+    console.error("Failed to list presets:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to list presets", message: error.message });
+  }
+});
+
+router.get("/:name", async (req, res) => {
+  try {
+    const preset = await PresetManager.getPreset(req.params.name);
+
+    if (!preset) {
+      return res.status(404).json({ error: "Preset not found" });
+    }
+
+    res.json({ success: true, preset });
+  } catch (error) {
+    console.error("Failed to get preset:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to get preset", message: error.message });
+  }
+});
+
+router.get("/:name/versions", async (req, res) => {
+  try {
+    const versions = await PresetManager.getPresetVersions(req.params.name);
+
+    if (versions.length === 0) {
+      return res.status(404).json({ error: "Preset not found" });
+    }
+
+    res.json({ success: true, versions });
+  } catch (error) {
+    console.error("Failed to get preset versions:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to get preset versions", message: error.message });
+  }
+});
+
+router.post("/", authenticate, async (req, res) => {
+  try {
+    const { name, description, ladder } = req.body;
+
+    if (!name || !PRESET_NAME_REGEX.test(name)) {
+      return res.status(400).json({
+        error:
+          "name is required and must contain only lowercase letters, numbers, hyphens, and underscores",
+      });
+    }
+
+    const ladderErrors = PresetManager.validateLadder(ladder);
+    if (ladderErrors.length > 0) {
+      return res
+        .status(400)
+        .json({ error: "Invalid ladder", details: ladderErrors });
+    }
+
+    if (await PresetManager.getPreset(name)) {
+      return res.status(409).json({ error: `Preset already exists: ${name}` });
+    }
+
+    const preset = await PresetManager.createPreset(
+      name,
+      ladder,
+      description || null,
+    );
+    res.status(201).json({ success: true, preset });
+  } catch (error) {
+    console.error("Failed to create preset:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to create preset", message: error.message });
+  }
+});
+
+router.put("/:name", authenticate, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { description, ladder } = req.body;
+
+    const existing = await PresetManager.getPreset(name);
+    if (!existing) {
+      return res.status(404).json({ error: "Preset not found" });
+    }
+
+    const ladderErrors = PresetManager.validateLadder(ladder);
+    if (ladderErrors.length > 0) {
+      return res
+        .status(400)
+        .json({ error: "Invalid ladder", details: ladderErrors });
+    }
+
+    const preset = await PresetManager.updatePreset(
+      name,
+      ladder,
+      description ?? existing.description,
+    );
+    res.json({ success: true, preset });
+  } catch (error) {
+    console.error("Failed to update preset:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to update preset", message: error.message });
+  }
+});
+
+router.delete("/:name", authenticate, async (req, res) => {
+  try {
+    if (req.params.name === DEFAULT_PRESET_NAME) {
+      return res
+        .status(400)
+        .json({ error: "The default preset cannot be deleted" });
+    }
+
+    const deleted = await PresetManager.deletePreset(req.params.name);
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Preset not found" });
+    }
+
+    res.json({ success: true, message: "Preset deleted successfully" });
+  } catch (error) {
+    console.error("Failed to delete preset:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to delete preset", message: error.message });
+  }
+});
+
+export default router;
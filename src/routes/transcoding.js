@@ -1,25 +1,75 @@
 import { Router } from "express";
 import { v4 as uuidv4 } from "uuid";
-import { JobManager } from "../services/database.js";
+import { JobManager, PresetManager } from "../services/database.js";
 import { QueueManager } from "../services/queue.js";
 import { getB2Service, BUCKET_TYPES } from "../services/b2.js";
+import {
+  CODEC_FAMILIES,
+  DEFAULT_CODEC_FAMILY,
+  SEGMENT_FORMATS,
+  THUMBNAIL_FORMATS,
+  DEFAULT_AUDIO_BITRATE,
+} from "../services/codecs.js";
+import { requireApiKey as authenticate } from "../middleware/auth.js";
 import { basename, extname } from "path";
 
 const router = Router();
 
-function authenticate(req, res, next) {
-  const apiKey =
-    req.headers["x-api-key"] ||
-    req.headers["authorization"]?.replace("Bearer ", "");
-  if (process.env.API_KEY && apiKey !== process.env.API_KEY) {
-    return res.status(401).json({ error: "Invalid API key" });
-  }
-  next();
-}
+// fit: keep the source aspect ratio inside each rung's box
+// pad: letterbox/pillarbox to the full box
+const SCALE_MODES = ["fit", "pad"];
+
+// auto: detect from the field order and an idet pass
+const DEINTERLACE_MODES = ["auto", "on", "off"];
+
+const PREVIEW_FORMATS = ["mp4", "webp", "gif"];
+
+const WATERMARK_POSITIONS = [
+  "top-left",
+  "top-right",
+  "bottom-left",
+  "bottom-right",
+  "center",
+];
+
+const WATERMARK_IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".webp"];
 
 router.post("/", authenticate, async (req, res) => {
   try {
-    const { key, resolutions, priority, videoName, callback_url } = req.body;
+    const {
+      key,
+      resolutions,
+      priority,
+      videoName,
+      callback_url,
+      preset,
+      codecs,
+      segmentFormat,
+      dash,
+      singlePass,
+      separateAudio,
+      audioBitrates,
+      audioLanguages,
+      defaultAudioLanguage,
+      captions,
+      scaleMode,
+      keepHdr,
+      deinterlace,
+      sceneCut,
+      perTitle,
+      qualityMetrics,
+      trickplay,
+      iFramePlaylists,
+      thumbnails,
+      preview,
+      downloads,
+      startTime,
+      endTime,
+      ranges,
+      watermark,
+      bumpers,
+      loudness,
+    } = req.body;
 
     if (!key) {
       return res.status(400).json({ error: "Missing required parameter: key" });
@@ -44,25 +94,364 @@ router.post("/", authenticate, async (req, res) => {
       }
     }
 
-    const targetResolutions = resolutions || [
-      "1080p",
-      "720p",
-      "480p",
-      "360p",
-      "240p",
-    ];
+    const ladderPreset = preset
+      ? await PresetManager.getPreset(preset)
+      : await PresetManager.getDefaultPreset();
+
+    if (!ladderPreset) {
+      return res.status(400).json({ error: `Unknown preset: ${preset}` });
+    }
+
+    const validResolutions = Object.keys(ladderPreset.ladder);
+    const targetResolutions = resolutions || validResolutions;
 
-    const validResolutions = ["1080p", "720p", "480p", "360p", "240p"];
     const invalidResolutions = targetResolutions.filter(
       (r) => !validResolutions.includes(r),
     );
 
     if (invalidResolutions.length > 0) {
       return res.status(400).json({
-        error: `Invalid resolutions: ${invalidResolutions.join(", ")}. Valid options: ${validResolutions.join(", ")}`,
+        error: `Invalid resolutions for preset ${ladderPreset.name}: ${invalidResolutions.join(", ")}. Valid options: ${validResolutions.join(", ")}`,
+      });
+    }
+
+    if (downloads !== undefined) {
+      if (!Array.isArray(downloads)) {
+        return res.status(400).json({ error: "downloads must be an array" });
+      }
+      const invalidDownloads = downloads.filter(
+        (r) => !targetResolutions.includes(r),
+      );
+      if (invalidDownloads.length > 0) {
+        return res.status(400).json({
+          error: `Invalid downloads: ${invalidDownloads.join(", ")}. Downloads must be among the job's resolutions: ${targetResolutions.join(", ")}`,
+        });
+      }
+    }
+
+    // startTime/endTime is shorthand for a single range to keep
+    if (
+      ranges !== undefined &&
+      (startTime !== undefined || endTime !== undefined)
+    ) {
+      return res.status(400).json({
+        error: "Use either startTime/endTime or ranges, not both",
+      });
+    }
+    const trimRanges =
+      ranges ??
+      (startTime !== undefined || endTime !== undefined
+        ? [{ start: startTime ?? 0, end: endTime ?? null }]
+        : []);
+    if (!Array.isArray(trimRanges) || trimRanges.length > 20) {
+      return res
+        .status(400)
+        .json({ error: "ranges must be an array of up to 20 ranges" });
+    }
+    const invalidRange = trimRanges.find(
+      (range, i) =>
+        !range ||
+        typeof range.start !== "number" ||
+        range.start < 0 ||
+        (range.end !== null &&
+          range.end !== undefined &&
+          (typeof range.end !== "number" || range.end <= range.start)) ||
+        // Ranges must be in order and not overlap; only the last can be open
+        (i > 0 &&
+          (trimRanges[i - 1].end === null ||
+            trimRanges[i - 1].end === undefined ||
+            range.start < trimRanges[i - 1].end)),
+    );
+    if (invalidRange) {
+      return res.status(400).json({
+        error:
+          "Each range needs a start in seconds and an end after it (or no end, for the last range). Ranges must be in order and must not overlap.",
+        range: invalidRange,
       });
     }
 
+    const validCodecs = Object.keys(CODEC_FAMILIES);
+    if (codecs !== undefined) {
+      if (!Array.isArray(codecs)) {
+        return res.status(400).json({ error: "codecs must be an array" });
+      }
+      const invalidCodecs = codecs.filter((c) => !validCodecs.includes(c));
+      if (invalidCodecs.length > 0) {
+        return res.status(400).json({
+          error: `Invalid codecs: ${invalidCodecs.join(", ")}. Valid options: ${validCodecs.join(", ")}`,
+        });
+      }
+    }
+
+    if (segmentFormat && !SEGMENT_FORMATS.includes(segmentFormat)) {
+      return res.status(400).json({
+        error: `Invalid segmentFormat: ${segmentFormat}. Valid options: ${SEGMENT_FORMATS.join(", ")}`,
+      });
+    }
+
+    // DASH reuses the HLS segments, which only works with fMP4
+    if (dash && segmentFormat === "mpegts") {
+      return res.status(400).json({
+        error: "DASH output requires segmentFormat fmp4",
+      });
+    }
+
+    if (audioBitrates !== undefined) {
+      if (
+        !Array.isArray(audioBitrates) ||
+        audioBitrates.length === 0 ||
+        !audioBitrates.every((b) => /^\d+k$/.test(b))
+      ) {
+        return res.status(400).json({
+          error:
+            'audioBitrates must be a non-empty array of bitrates such as "128k"',
+        });
+      }
+    }
+
+    if (audioLanguages !== undefined) {
+      if (
+        !Array.isArray(audioLanguages) ||
+        audioLanguages.length === 0 ||
+        !audioLanguages.every((l) => typeof l === "string" && l.trim())
+      ) {
+        return res.status(400).json({
+          error:
+            'audioLanguages must be a non-empty array of language codes such as "en" or "spa"',
+        });
+      }
+    }
+
+    if (
+      defaultAudioLanguage !== undefined &&
+      (typeof defaultAudioLanguage !== "string" ||
+        (audioLanguages && !audioLanguages.includes(defaultAudioLanguage)))
+    ) {
+      return res.status(400).json({
+        error: "defaultAudioLanguage must be one of audioLanguages",
+      });
+    }
+
+    if (captions !== undefined) {
+      if (!Array.isArray(captions)) {
+        return res.status(400).json({ error: "captions must be an array" });
+      }
+      const invalidCaption = captions.find(
+        (c) =>
+          !c ||
+          typeof c.key !== "string" ||
+          ![".srt", ".vtt"].includes(extname(c.key).toLowerCase()) ||
+          typeof c.language !== "string" ||
+          !c.language.trim() ||
+          typeof c.label !== "string" ||
+          !c.label.trim(),
+      );
+      if (invalidCaption) {
+        return res.status(400).json({
+          error:
+            "Each caption needs a .srt or .vtt key, a language and a label",
+          caption: invalidCaption,
+        });
+      }
+      if (captions.filter((c) => c.default).length > 1) {
+        return res
+          .status(400)
+          .json({ error: "Only one caption can be the default" });
+      }
+    }
+
+    if (scaleMode !== undefined && !SCALE_MODES.includes(scaleMode)) {
+      return res.status(400).json({
+        error: `Invalid scaleMode: ${scaleMode}. Valid options: ${SCALE_MODES.join(", ")}`,
+      });
+    }
+
+    if (deinterlace !== undefined && !DEINTERLACE_MODES.includes(deinterlace)) {
+      return res.status(400).json({
+        error: `Invalid deinterlace: ${deinterlace}. Valid options: ${DEINTERLACE_MODES.join(", ")}`,
+      });
+    }
+
+    if (sceneCut !== undefined && typeof sceneCut !== "boolean") {
+      return res.status(400).json({ error: "sceneCut must be a boolean" });
+    }
+
+    if (trickplay !== undefined && typeof trickplay !== "boolean") {
+      const { interval, width } = trickplay || {};
+      if (
+        typeof trickplay !== "object" ||
+        (interval !== undefined &&
+          !(typeof interval === "number" && interval >= 1 && interval <= 60)) ||
+        (width !== undefined &&
+          !(
+            Number.isInteger(width) &&
+            width % 2 === 0 &&
+            width >= 80 &&
+            width <= 640
+          ))
+      ) {
+        return res.status(400).json({
+          error:
+            "trickplay must be true or an object with an interval of 1-60 seconds and an even width of 80-640 pixels",
+        });
+      }
+    }
+
+    if (thumbnails !== undefined) {
+      const { positions, sizes, formats } = thumbnails || {};
+      const isPosition = (p) =>
+        p === "best" ||
+        (typeof p === "number" && p >= 0) ||
+        (typeof p === "string" &&
+          /^\d+(\.\d+)?%$/.test(p) &&
+          parseFloat(p) <= 100);
+
+      if (!thumbnails || typeof thumbnails !== "object") {
+        return res.status(400).json({ error: "thumbnails must be an object" });
+      }
+      if (
+        positions !== undefined &&
+        (!Array.isArray(positions) ||
+          positions.length === 0 ||
+          positions.length > 10 ||
+          !positions.every(isPosition) ||
+          positions.filter((p) => p === "best").length > 1)
+      ) {
+        return res.status(400).json({
+          error:
+            'thumbnails.positions must list 1-10 positions: seconds, percentages such as "25%", or "best" (once)',
+        });
+      }
+      if (
+        sizes !== undefined &&
+        (!Array.isArray(sizes) ||
+          sizes.length === 0 ||
+          sizes.length > 5 ||
+          !sizes.every(
+            (w) => Number.isInteger(w) && w % 2 === 0 && w >= 16 && w <= 3840,
+          ))
+      ) {
+        return res.status(400).json({
+          error:
+            "thumbnails.sizes must list 1-5 even widths between 16 and 3840 pixels",
+        });
+      }
+      if (
+        formats !== undefined &&
+        (!Array.isArray(formats) ||
+          formats.length === 0 ||
+          !formats.every((f) => Object.hasOwn(THUMBNAIL_FORMATS, f)))
+      ) {
+        return res.status(400).json({
+          error: `thumbnails.formats must list formats from: ${Object.keys(THUMBNAIL_FORMATS).join(", ")}`,
+        });
+      }
+    }
+
+    if (preview !== undefined && typeof preview !== "boolean") {
+      const { clips, clipDuration, width, formats } = preview || {};
+      if (
+        !preview ||
+        typeof preview !== "object" ||
+        (clips !== undefined &&
+          !(Number.isInteger(clips) && clips >= 1 && clips <= 10)) ||
+        (clipDuration !== undefined &&
+          !(
+            typeof clipDuration === "number" &&
+            clipDuration >= 0.5 &&
+            clipDuration <= 10
+          )) ||
+        (width !== undefined &&
+          !(
+            Number.isInteger(width) &&
+            width % 2 === 0 &&
+            width >= 64 &&
+            width <= 1280
+          )) ||
+        (formats !== undefined &&
+          (!Array.isArray(formats) ||
+            formats.length === 0 ||
+            !formats.every((f) => PREVIEW_FORMATS.includes(f))))
+      ) {
+        return res.status(400).json({
+          error: `preview must be true or an object with clips (1-10), clipDuration (0.5-10 seconds), an even width (64-1280) and formats from: ${PREVIEW_FORMATS.join(", ")}`,
+        });
+      }
+    }
+
+    if (loudness !== undefined && typeof loudness !== "boolean") {
+      const { target, truePeak } = loudness || {};
+      if (
+        !loudness ||
+        typeof loudness !== "object" ||
+        Array.isArray(loudness) ||
+        (target !== undefined &&
+          !(typeof target === "number" && target >= -70 && target <= -5)) ||
+        (truePeak !== undefined &&
+          !(typeof truePeak === "number" && truePeak >= -9 && truePeak <= 0))
+      ) {
+        return res.status(400).json({
+          error:
+            "loudness must be true or an object with a target (-70 to -5 LUFS) and a truePeak (-9 to 0 dBTP)",
+        });
+      }
+    }
+
+    if (bumpers !== undefined && bumpers !== null) {
+      const isKey = (value) =>
+        value === undefined ||
+        value === null ||
+        (typeof value === "string" && value.length > 0);
+      if (
+        typeof bumpers !== "object" ||
+        Array.isArray(bumpers) ||
+        !isKey(bumpers.intro) ||
+        !isKey(bumpers.outro) ||
+        (!bumpers.intro && !bumpers.outro)
+      ) {
+        return res.status(400).json({
+          error:
+            "bumpers must be an object with an intro and/or outro key in the Original Video bucket",
+        });
+      }
+    }
+
+    if (watermark !== undefined && watermark !== null) {
+      const { image, position, margin, opacity, scale } = watermark;
+      const inRange = (value, min, max) =>
+        value === undefined ||
+        (typeof value === "number" && value >= min && value <= max);
+
+      if (
+        typeof watermark !== "object" ||
+        Array.isArray(watermark) ||
+        (image !== undefined &&
+          !(
+            typeof image === "string" &&
+            WATERMARK_IMAGE_EXTENSIONS.includes(extname(image).toLowerCase())
+          )) ||
+        (position !== undefined && !WATERMARK_POSITIONS.includes(position)) ||
+        !inRange(margin, 0, 0.25) ||
+        !inRange(opacity, 0.05, 1) ||
+        !inRange(scale, 0.01, 0.5)
+      ) {
+        return res.status(400).json({
+          error: `watermark must be an object with an optional image key (${WATERMARK_IMAGE_EXTENSIONS.join(", ")}), a position from: ${WATERMARK_POSITIONS.join(", ")}, a margin (0-0.25), an opacity (0.05-1) and a scale (0.01-0.5)`,
+        });
+      }
+      if (!image && !process.env.WATERMARK_LOGO) {
+        return res.status(400).json({
+          error:
+            "watermark.image is required because no WATERMARK_LOGO is configured",
+        });
+      }
+    }
+
+    // H.264 is always part of the ladder for older devices
+    const targetCodecs = [
+      ...new Set([DEFAULT_CODEC_FAMILY, ...(codecs || [])]),
+    ];
+
     const outputVideoName = videoName || basename(key, extname(key));
 
     const videoNameRegex = /^[a-zA-Z0-9_-]+$/;
@@ -94,14 +483,95 @@ router.post("/", authenticate, async (req, res) => {
 
     const jobId = uuidv4();
 
+    // Pin the preset version so retries encode with the same ladder
+    const transcodeOptions = {
+      preset: { name: ladderPreset.name, version: ladderPreset.version },
+      codecs: targetCodecs,
+      segmentFormat: dash ? "fmp4" : segmentFormat || "mpegts",
+      dash: Boolean(dash),
+      singlePass: Boolean(singlePass),
+      separateAudio: Boolean(separateAudio),
+      audioBitrates: separateAudio
+        ? [...new Set(audioBitrates || [DEFAULT_AUDIO_BITRATE])]
+        : [],
+      audioLanguages: audioLanguages || null,
+      defaultAudioLanguage: defaultAudioLanguage || null,
+      scaleMode: scaleMode || "fit",
+      keepHdr: Boolean(keepHdr),
+      deinterlace: deinterlace || "auto",
+      sceneCut: sceneCut !== false,
+      perTitle: Boolean(perTitle),
+      qualityMetrics: Boolean(qualityMetrics),
+      trickplay: trickplay
+        ? {
+            interval: trickplay.interval ?? null,
+            width: trickplay.width ?? null,
+          }
+        : null,
+      iFramePlaylists: iFramePlaylists !== false,
+      thumbnails: thumbnails
+        ? {
+            ...(thumbnails.positions && { positions: thumbnails.positions }),
+            ...(thumbnails.sizes && { sizes: [...new Set(thumbnails.sizes)] }),
+            ...(thumbnails.formats && {
+              formats: [...new Set(thumbnails.formats)],
+            }),
+          }
+        : null,
+      preview: preview
+        ? {
+            ...(preview.clips && { clips: preview.clips }),
+            ...(preview.clipDuration && { clipDuration: preview.clipDuration }),
+            ...(preview.width && { width: preview.width }),
+            ...(preview.formats && { formats: [...new Set(preview.formats)] }),
+          }
+        : null,
+      downloads: [...new Set(downloads || [])],
+      trim: trimRanges.map(({ start, end }) => ({ start, end: end ?? null })),
+      loudness: loudness
+        ? {
+            ...(loudness.target !== undefined && { target: loudness.target }),
+            ...(loudness.truePeak !== undefined && {
+              truePeak: loudness.truePeak,
+            }),
+          }
+        : null,
+      bumpers: bumpers
+        ? { intro: bumpers.intro || null, outro: bumpers.outro || null }
+        : null,
+      watermark: watermark
+        ? {
+            image: watermark.image || null,
+            position: watermark.position ?? null,
+            margin: watermark.margin ?? null,
+            opacity: watermark.opacity ?? null,
+            scale: watermark.scale ?? null,
+          }
+        : null,
+      captions: (captions || []).map((c) => ({
+        key: c.key,
+        language: c.language,
+        label: c.label,
+        default: Boolean(c.default),
+        forced: Boolean(c.forced),
+      })),
+    };
+
     const jobMetadata = {
       videoName: outputVideoName,
       environment: environment,
       callbackUrl: callback_url || null,
       originalFileSize: null,
+      options: transcodeOptions,
     };
 
-    await JobManager.createJob(jobId, key, targetResolutions, jobMetadata);
+    await JobManager.createJob(
+      jobId,
+      key,
+      targetResolutions,
+      jobMetadata,
+      transcodeOptions.preset,
+    );
 
     await QueueManager.addTranscodingJob(
       jobId,
@@ -111,6 +581,7 @@ router.post("/", authenticate, async (req, res) => {
       outputVideoName,
       environment,
       callback_url,
+      transcodeOptions,
     );
 
     console.log(
@@ -125,6 +596,31 @@ router.post("/", authenticate, async (req, res) => {
       environment: environment,
       callbackUrl: callback_url,
       resolutions: targetResolutions,
+      preset: transcodeOptions.preset,
+      codecs: targetCodecs,
+      segmentFormat: transcodeOptions.segmentFormat,
+      dash: transcodeOptions.dash,
+      singlePass: transcodeOptions.singlePass,
+      separateAudio: transcodeOptions.separateAudio,
+      audioBitrates: transcodeOptions.audioBitrates,
+      audioLanguages: transcodeOptions.audioLanguages,
+      defaultAudioLanguage: transcodeOptions.defaultAudioLanguage,
+      captions: transcodeOptions.captions,
+      scaleMode: transcodeOptions.scaleMode,
+      keepHdr: transcodeOptions.keepHdr,
+      deinterlace: transcodeOptions.deinterlace,
+      sceneCut: transcodeOptions.sceneCut,
+      perTitle: transcodeOptions.perTitle,
+      qualityMetrics: transcodeOptions.qualityMetrics,
+      trickplay: transcodeOptions.trickplay,
+      iFramePlaylists: transcodeOptions.iFramePlaylists,
+      thumbnails: transcodeOptions.thumbnails,
+      preview: transcodeOptions.preview,
+      downloads: transcodeOptions.downloads,
+      trim: transcodeOptions.trim,
+      bumpers: transcodeOptions.bumpers,
+      loudness: transcodeOptions.loudness,
+      watermark: transcodeOptions.watermark,
       status: "queued",
       message: "Transcoding job created successfully",
     });
@@ -157,11 +653,15 @@ router.get("/job/:jobId", async (req, res) => {
         progress: job.progress,
         error: job.error_message,
         resolutions: job.resolutions,
+        preset: job.preset_name
+          ? { name: job.preset_name, version: job.preset_version }
+          : null,
         createdAt: job.created_at,
         startedAt: job.started_at,
         completedAt: job.completed_at,
         fileSize: job.file_size,
         duration: job.duration,
+        qualityMetrics: job.metadata?.qualityMetrics || null,
         metadata: job.metadata,
       },
     });
@@ -278,6 +778,7 @@ router.post("/job/:jobId/retry", authenticate, async (req, res) => {
       basename(job.original_key, extname(job.original_key));
     const environment = job.metadata?.environment || "production";
     const callbackUrl = job.metadata?.callbackUrl || null;
+    const options = job.metadata?.options || {};
 
     await QueueManager.addTranscodingJob(
       jobId,
@@ -287,6 +788,7 @@ router.post("/job/:jobId/retry", authenticate, async (req, res) => {
       videoName,
       environment,
       callbackUrl,
+      options,
     );
 
     console.log(`Retrying job: ${jobId}`);
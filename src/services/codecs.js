@@ -0,0 +1,263 @@
+// Video codec families that can be encoded into the HLS ladder. Preset rungs
+// describe H.264; the other families derive their settings from the same rung.
+
+const CODEC_FAMILIES = {
+  h264: {
+    label: "H.264",
+    encoder: "libx264",
+    segmentType: "mpegts",
+    bitrateFactor: 1,
+  },
+  hevc: {
+    label: "HEVC",
+    encoder: "libx265",
+    // MPEG-TS cannot carry hvc1, which is what Apple players require
+    segmentType: "fmp4",
+    bitrateFactor: 0.6,
+  },
+  vp9: {
+    label: "VP9",
+    encoder: "libvpx-vp9",
+    segmentType: "fmp4",
+    bitrateFactor: 0.65,
+  },
+  av1: {
+    label: "AV1",
+    encoder: process.env.AV1_ENCODER || "libsvtav1",
+    segmentType: "fmp4",
+    bitrateFactor: 0.5,
+  },
+};
+
+const DEFAULT_CODEC_FAMILY = "h264";
+
+// Separate audio renditions are AAC-LC, FFmpeg's native AAC profile
+const AUDIO_CODEC_STRING = "mp4a.40.2";
+const DEFAULT_AUDIO_BITRATE = "128k";
+// Every AAC encode is resampled to this rate, which the DASH manifest
+// declares
+const AUDIO_SAMPLE_RATE = 48000;
+
+// HLS segment containers, named after FFmpeg's -hls_segment_type values.
+// fMP4 segments are CMAF-compatible and can be shared with DASH.
+const SEGMENT_FORMATS = ["mpegts", "fmp4"];
+
+// Poster image formats: the API accepts the keys, and the worker uses the
+// content type and output options. WebP and AVIF need optional encoders.
+const THUMBNAIL_FORMATS = {
+  jpg: { contentType: "image/jpeg", options: ["-q:v 3"] },
+  png: { contentType: "image/png", options: [] },
+  webp: {
+    contentType: "image/webp",
+    encoder: "libwebp",
+    options: ["-c:v libwebp", "-quality 80"],
+  },
+  avif: {
+    contentType: "image/avif",
+    encoder: "libaom-av1",
+    options: ["-c:v libaom-av1", "-still-picture 1", "-crf 30", "-cpu-used 6"],
+  },
+};
+
+// Level tables keyed by the maximum luma picture size each level allows
+const HEVC_LEVELS = [
+  [122880, 63], // 2.1
+  [552960, 90], // 3.0
+  [983040, 93], // 3.1
+  [2228224, 120], // 4.0
+  [8912896, 150], // 5.0
+];
+
+const VP9_LEVELS = [
+  [122880, "20"],
+  [245760, "21"],
+  [552960, "30"],
+  [983040, "31"],
+  [2228224, "40"],
+  [8912896, "50"],
+];
+
+const AV1_LEVELS = [
+  [147456, "00"], // 2.0
+  [278784, "01"], // 2.1
+  [665856, "04"], // 3.0
+  [1065024, "05"], // 3.1
+  [2359296, "08"], // 4.0
+  [8912896, "12"], // 5.0
+];
+
+function pickLevel(levels, width, height) {
+  const lumaSize = width * height;
+  const match = levels.find(([maxSize]) => lumaSize <= maxSize);
+  return (match || levels[levels.length - 1])[1];
+}
+
+function scaleBitrate(bitrate, factor) {
+  return `${Math.round(parseInt(bitrate) * factor)}k`;
+}
+
+// Video part of the CODECS attribute for one rendition
+function getVideoCodecString(family, config, dynamicRange = "sdr") {
+  const { width, height } = config;
+
+  switch (family) {
+    case "hevc":
+      // HDR renditions are Main 10 (profile 2)
+      return dynamicRange === "sdr"
+        ? `hvc1.1.6.L${pickLevel(HEVC_LEVELS, width, height)}.90`
+        : `hvc1.2.4.L${pickLevel(HEVC_LEVELS, width, height)}.90`;
+    case "vp9":
+      return `vp09.00.${pickLevel(VP9_LEVELS, width, height)}.08`;
+    case "av1":
+      return `av01.0.${pickLevel(AV1_LEVELS, width, height)}M.08`;
+    default:
+      return config.codecs.split(",")[0];
+  }
+}
+
+// Video and audio parts of the CODECS attribute for one rendition with
+// muxed audio
+function getCodecsString(family, config, dynamicRange = "sdr") {
+  const [, audioCodec = AUDIO_CODEC_STRING] = config.codecs.split(",");
+  return `${getVideoCodecString(family, config, dynamicRange)},${audioCodec}`;
+}
+
+// x265 color signalling for HDR renditions, keyed by dynamic range
+const HDR_X265_PARAMS = {
+  pq: "hdr10=1:hdr10-opt=1:colorprim=bt2020:transfer=smpte2084:colormatrix=bt2020nc",
+  hlg: "colorprim=bt2020:transfer=arib-std-b67:colormatrix=bt2020nc",
+};
+
+// Scene-cut sensitivity for x264/x265 when scene cuts are allowed (their
+// default)
+const SCENECUT_THRESHOLD = 40;
+
+// FFmpeg video encoder options for one rendition. Only HEVC renditions can
+// be HDR; every other family is SDR. Once a rung has been fitted to the
+// source it carries gopFrames, which pins keyframes to a fixed interval so
+// every rendition starts its segments on the same timestamps. x264 and
+// x265 keyframes are also forced by frame number. On those rungs a scene
+// cut must not add an IDR frame, which the HLS muxer would cut a segment
+// on. x264 and x265 only insert a plain I-frame for a scene cut closer to
+// the last keyframe than min-keyint, so with scene cuts on the encoder's
+// own interval is doubled and min-keyint set past the GOP: the forced
+// keyframes stay the only IDR frames.
+function getVideoEncoderOptions(family, config, dynamicRange = "sdr") {
+  const maxrate = scaleBitrate(
+    config.bitrate,
+    CODEC_FAMILIES[family].bitrateFactor,
+  );
+  const bufsize = `${parseInt(maxrate) * 2}k`;
+  const gop = config.gopFrames;
+  const scenecut = config.sceneCut === false ? 0 : SCENECUT_THRESHOLD;
+  const fixedGop = gop ? [`-g ${gop}`, `-keyint_min ${gop}`] : [];
+  const [keyint, minKeyint] = scenecut ? [gop * 2, gop + 1] : [gop, gop];
+  const forcedKeyframes = gop
+    ? [`-force_key_frames expr:eq(mod(n,${gop}),0)`]
+    : [];
+  const x265Params = [
+    "log-level=error",
+    `scenecut=${scenecut}`,
+    ...(gop
+      ? [`keyint=${keyint}`, `min-keyint=${minKeyint}`, "open-gop=0"]
+      : []),
+  ];
+
+  switch (family) {
+    case "hevc":
+      if (dynamicRange !== "sdr") {
+        return [
+          "-c:v libx265",
+          "-preset fast",
+          "-crf 26",
+          `-maxrate ${maxrate}`,
+          `-bufsize ${bufsize}`,
+          "-pix_fmt yuv420p10le",
+          "-profile:v main10",
+          "-tag:v hvc1",
+          `-x265-params ${[...x265Params, "repeat-headers=1", HDR_X265_PARAMS[dynamicRange]].join(":")}`,
+          ...forcedKeyframes,
+          ...(gop ? ["-forced-idr 1"] : []),
+        ];
+      }
+      return [
+        "-c:v libx265",
+        "-preset fast",
+        "-crf 28",
+        `-maxrate ${maxrate}`,
+        `-bufsize ${bufsize}`,
+        "-tag:v hvc1", // Required by Apple players
+        `-x265-params ${x265Params.join(":")}`,
+        ...forcedKeyframes,
+        ...(gop ? ["-forced-idr 1"] : []),
+      ];
+    case "vp9":
+      return [
+        "-c:v libvpx-vp9",
+        "-deadline good",
+        "-cpu-used 4",
+        "-row-mt 1",
+        "-crf 32",
+        `-b:v ${maxrate}`, // Constrained quality: CRF capped at this rate
+        `-maxrate ${maxrate}`,
+        `-bufsize ${bufsize}`,
+        ...fixedGop,
+      ];
+    case "av1":
+      if (CODEC_FAMILIES.av1.encoder === "libaom-av1") {
+        return [
+          "-c:v libaom-av1",
+          "-cpu-used 6",
+          "-row-mt 1",
+          "-crf 34",
+          `-b:v ${maxrate}`,
+          ...fixedGop,
+        ];
+      }
+      return [
+        "-c:v libsvtav1",
+        "-preset 8",
+        "-crf 35",
+        `-maxrate ${maxrate}`,
+        `-bufsize ${bufsize}`,
+        ...(gop ? [`-g ${gop}`, "-svtav1-params scd=0"] : []),
+      ];
+    default:
+      return [
+        "-c:v libx264",
+        "-preset fast",
+        `-profile:v ${config.profile}`,
+        `-level ${config.level}`,
+        "-crf 23", // Quality (lower = better quality)
+        `-maxrate ${maxrate}`,
+        `-bufsize ${bufsize}`,
+        `-sc_threshold ${scenecut}`,
+        ...(gop
+          ? [`-g ${keyint}`, `-keyint_min ${minKeyint}`, ...forcedKeyframes]
+          : []),
+      ];
+  }
+}
+
+// Peak bitrate in bits per second, used for the BANDWIDTH attribute
+function getBandwidth(family, config) {
+  return (
+    parseInt(
+      scaleBitrate(config.bitrate, CODEC_FAMILIES[family].bitrateFactor),
+    ) * 1000
+  );
+}
+
+export {
+  CODEC_FAMILIES,
+  DEFAULT_CODEC_FAMILY,
+  SEGMENT_FORMATS,
+  THUMBNAIL_FORMATS,
+  AUDIO_CODEC_STRING,
+  DEFAULT_AUDIO_BITRATE,
+  AUDIO_SAMPLE_RATE,
+  getVideoCodecString,
+  getCodecsString,
+  getVideoEncoderOptions,
+  getBandwidth,
+};
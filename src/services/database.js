@@ -19,6 +19,63 @@ const LOG_LEVELS = {
   DEBUG: "debug",
 };
 
+const DEFAULT_PRESET_NAME = "default";
+const PRESET_NAME_REGEX = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Seed ladder for the default preset, with codec profiles to match AWS ETS
+const DEFAULT_LADDER = {
+  "1080p": {
+    width: 1920,
+    height: 1080,
+    bitrate: "6593k",
+    audioBitrate: "192k",
+    profile: "high",
+    level: "4.0",
+    codecs: "avc1.640028,mp4a.40.5",
+    maxFrameRate: 60,
+  },
+  "720p": {
+    width: 1280,
+    height: 720,
+    bitrate: "2766k",
+    audioBitrate: "128k",
+    profile: "high",
+    level: "4.0",
+    codecs: "avc1.640028,mp4a.40.5",
+    maxFrameRate: 60,
+  },
+  "480p": {
+    width: 854,
+    height: 480,
+    bitrate: "1395k",
+    audioBitrate: "128k",
+    profile: "main",
+    level: "3.1",
+    codecs: "avc1.42001f,mp4a.40.5",
+    maxFrameRate: 30,
+  },
+  "360p": {
+    width: 640,
+    height: 360,
+    bitrate: "1038k",
+    audioBitrate: "96k",
+    profile: "main",
+    level: "3.1",
+    codecs: "avc1.4d001f,mp4a.40.5",
+    maxFrameRate: 30,
+  },
+  "240p": {
+    width: 426,
+    height: 240,
+    bitrate: "400k",
+    audioBitrate: "64k",
+    profile: "baseline",
+    level: "3.0",
+    codecs: "avc1.42001e,mp4a.40.5",
+    maxFrameRate: 30,
+  },
+};
+
 function initializeDatabase() {
   return new Promise((resolve, reject) => {
     try {
@@ -62,6 +119,34 @@ function initializeDatabase() {
         )
       `);
 
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS presets (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT UNIQUE NOT NULL,
+          description TEXT,
+          version INTEGER NOT NULL DEFAULT 1,
+          ladder TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Every ladder a preset has ever had, so jobs can be audited against
+      // the exact version they were encoded with
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS preset_versions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          preset_name TEXT NOT NULL,
+          version INTEGER NOT NULL,
+          ladder TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (preset_name, version)
+        )
+      `);
+
+      addColumnIfMissing("jobs", "preset_name", "TEXT");
+      addColumnIfMissing("jobs", "preset_version", "INTEGER");
+
       db.exec(`
         CREATE INDEX IF NOT EXISTS idx_jobs_job_id ON jobs(job_id);
         CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
@@ -72,6 +157,8 @@ function initializeDatabase() {
       `);
 
       makeJobQueries();
+      makePresetQueries();
+      seedDefaultPreset();
       console.log("Database initialized successfully");
       resolve();
     } catch (error) {
@@ -81,14 +168,44 @@ function initializeDatabase() {
   });
 }
 
+// Lightweight migration for databases created before a column existed
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some((c) => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+function seedDefaultPreset() {
+  if (presetQueries.getByName.get(DEFAULT_PRESET_NAME)) return;
+
+  insertPreset(
+    DEFAULT_PRESET_NAME,
+    DEFAULT_LADDER,
+    "Standard H.264 ladder (1080p to 240p)",
+  );
+  console.log("Seeded default encoding preset");
+}
+
+// A re-created preset continues the version numbering of a deleted one
+function insertPreset(name, ladder, description) {
+  const ladderJson = JSON.stringify(ladder);
+  db.transaction(() => {
+    const { version: latest } = presetQueries.getLatestVersion.get(name);
+    const version = (latest || 0) + 1;
+    presetQueries.create.run(name, description, version, ladderJson);
+    presetQueries.addVersion.run(name, version, ladderJson);
+  })();
+}
+
 let jobQueries = {};
 
 const makeJobQueries = () => {
   jobQueries = {
     create: db
       ? db.prepare(`
-        INSERT INTO jobs (job_id, original_key, status, resolutions, metadata)
-        VALUES (?, ?, ?, ?, ?)
+        INSERT INTO jobs (job_id, original_key, status, resolutions, metadata, preset_name, preset_version)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
       `)
       : null,
 
@@ -211,8 +328,78 @@ const makeJobQueries = () => {
   };
 };
 
+let presetQueries = {};
+
+const makePresetQueries = () => {
+  presetQueries = {
+    create: db
+      ? db.prepare(`
+        INSERT INTO presets (name, description, version, ladder)
+        VALUES (?, ?, ?, ?)
+      `)
+      : null,
+
+    getByName: db
+      ? db.prepare(`
+        SELECT * FROM presets WHERE name = ?
+      `)
+      : null,
+
+    getAll: db
+      ? db.prepare(`
+        SELECT * FROM presets ORDER BY name ASC
+      `)
+      : null,
+
+    update: db
+      ? db.prepare(`
+        UPDATE presets
+        SET description = ?, ladder = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE name = ?
+      `)
+      : null,
+
+    delete: db
+      ? db.prepare(`
+        DELETE FROM presets WHERE name = ?
+      `)
+      : null,
+
+    addVersion: db
+      ? db.prepare(`
+        INSERT INTO preset_versions (preset_name, version, ladder)
+        VALUES (?, ?, ?)
+      `)
+      : null,
+
+    getVersion: db
+      ? db.prepare(`
+        SELECT * FROM preset_versions WHERE preset_name = ? AND version = ?
+      `)
+      : null,
+
+    getLatestVersion: db
+      ? db.prepare(`
+        SELECT MAX(version) as version FROM preset_versions WHERE preset_name = ?
+      `)
+      : null,
+
+    getVersions: db
+      ? db.prepare(`
+        SELECT * FROM preset_versions WHERE preset_name = ? ORDER BY version DESC
+      `)
+      : null,
+  };
+};
+
 class JobManager {
-  static async createJob(jobId, originalKey, resolutions, metadata = {}) {
+  static async createJob(
+    jobId,
+    originalKey,
+    resolutions,
+    metadata = {},
+    preset = null,
+  ) {
     try {
       if (!db) throw new Error("Database not initialized");
 
@@ -225,6 +412,8 @@ class JobManager {
         "queued",
         resolutionsJson,
         metadataJson,
+        preset?.name || null,
+        preset?.version || null,
       );
 
       await this.addJobLog(
@@ -521,6 +710,170 @@ class JobManager {
   }
 }
 
+const LADDER_FIELDS = [
+  "width",
+  "height",
+  "bitrate",
+  "audioBitrate",
+  "profile",
+  "level",
+  "codecs",
+];
+
+class PresetManager {
+  static parsePreset(row) {
+    if (!row) return null;
+
+    let ladder = {};
+    try {
+      ladder = JSON.parse(row.ladder);
+    } catch (e) {
+      ladder = {};
+    }
+
+    return {
+      name: row.name ?? row.preset_name,
+      description: row.description ?? null,
+      version: row.version,
+      ladder,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at ?? row.created_at,
+    };
+  }
+
+  // Returns a list of problems with a ladder definition (empty when valid)
+  static validateLadder(ladder) {
+    if (!ladder || typeof ladder !== "object" || Array.isArray(ladder)) {
+      return ["ladder must be an object keyed by rendition name"];
+    }
+
+    const names = Object.keys(ladder);
+    if (names.length === 0) {
+      return ["ladder must contain at least one rendition"];
+    }
+
+    const errors = [];
+    for (const name of names) {
+      if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
+        errors.push(
+          `${name}: rendition names may only contain a-z, 0-9, _ and -`,
+        );
+        continue;
+      }
+
+      const config = ladder[name] || {};
+      const missing = LADDER_FIELDS.filter((field) => !config[field]);
+      if (missing.length > 0) {
+        errors.push(`${name}: missing ${missing.join(", ")}`);
+        continue;
+      }
+
+      if (!Number.isInteger(config.width) || !Number.isInteger(config.height)) {
+        errors.push(`${name}: width and height must be integers`);
+      } else if (config.width % 2 !== 0 || config.height % 2 !== 0) {
+        errors.push(`${name}: width and height must be even`);
+      }
+
+      for (const field of ["bitrate", "audioBitrate"]) {
+        if (!/^\d+k$/.test(config[field])) {
+          errors.push(`${name}: ${field} must look like "1500k"`);
+        }
+      }
+
+      if (
+        config.maxFrameRate !== undefined &&
+        !(
+          typeof config.maxFrameRate === "number" &&
+          config.maxFrameRate > 0 &&
+          config.maxFrameRate <= 120
+        )
+      ) {
+        errors.push(`${name}: maxFrameRate must be a number up to 120`);
+      }
+    }
+
+    return errors;
+  }
+
+  static async getPreset(name) {
+    if (!db) throw new Error("Database not initialized");
+
+    return this.parsePreset(presetQueries.getByName.get(name));
+  }
+
+  static async getDefaultPreset() {
+    return this.getPreset(DEFAULT_PRESET_NAME);
+  }
+
+  static async getAllPresets() {
+    if (!db) throw new Error("Database not initialized");
+
+    return presetQueries.getAll.all().map((row) => this.parsePreset(row));
+  }
+
+  static async getPresetVersion(name, version) {
+    if (!db) throw new Error("Database not initialized");
+
+    return this.parsePreset(presetQueries.getVersion.get(name, version));
+  }
+
+  static async getPresetVersions(name) {
+    if (!db) throw new Error("Database not initialized");
+
+    return presetQueries.getVersions
+      .all(name)
+      .map((row) => this.parsePreset(row));
+  }
+
+  static async createPreset(name, ladder, description = null) {
+    if (!db) throw new Error("Database not initialized");
+
+    insertPreset(name, ladder, description);
+
+    console.log(`Created encoding preset: ${name}`);
+    return this.getPreset(name);
+  }
+
+  // Every update bumps the version and keeps the previous ladder around
+  static async updatePreset(name, ladder, description = null) {
+    if (!db) throw new Error("Database not initialized");
+
+    const ladderJson = JSON.stringify(ladder);
+    db.transaction(() => {
+      presetQueries.update.run(description, ladderJson, name);
+      const { version } = presetQueries.getByName.get(name);
+      presetQueries.addVersion.run(name, version, ladderJson);
+    })();
+
+    const preset = await this.getPreset(name);
+    console.log(`Updated encoding preset: ${name} (v${preset.version})`);
+    return preset;
+  }
+
+  static async deletePreset(name) {
+    if (!db) throw new Error("Database not initialized");
+
+    if (name === DEFAULT_PRESET_NAME) {
+      throw new Error("The default preset cannot be deleted");
+    }
+
+    // Version history is kept so finished jobs stay auditable
+    const result = presetQueries.delete.run(name);
+
+    console.log(`Deleted encoding preset: ${name}`);
+    return result.changes > 0;
+  }
+}
+
 const getDatabase = () => db;
 
-export { initializeDatabase, JobManager, JOB_STATUS, LOG_LEVELS, getDatabase };
+export {
+  initializeDatabase,
+  JobManager,
+  PresetManager,
+  JOB_STATUS,
+  LOG_LEVELS,
+  DEFAULT_PRESET_NAME,
+  PRESET_NAME_REGEX,
+  getDatabase,
+};
@@ -0,0 +1,184 @@
+// Keyframe locations inside HLS media segments, for the byte ranges of
+// I-frame playlists. MPEG-TS segments are walked packet by packet;
+// fragmented MP4 segments box by box.
+
+const TS_PACKET_SIZE = 188;
+// PMT stream types for H.264 and HEVC
+const TS_VIDEO_STREAM_TYPES = [0x1b, 0x24];
+
+// Walks an MPEG-TS segment for video PES packets. FFmpeg flags keyframes
+// with the random access indicator; each keyframe range runs to the next
+// video PES. The PSI tables ahead of the first video packet become the
+// I-frame playlist's EXT-X-MAP.
+function findTsKeyframes(buffer) {
+  let pmtPid = null;
+  let videoPid = null;
+  const pesStarts = [];
+
+  for (
+    let offset = 0;
+    offset + TS_PACKET_SIZE <= buffer.length;
+    offset += TS_PACKET_SIZE
+  ) {
+    if (buffer[offset] !== 0x47) {
+      throw new Error(`Lost MPEG-TS sync at byte ${offset}`);
+    }
+    const unitStart = (buffer[offset + 1] & 0x40) !== 0;
+    const pid = ((buffer[offset + 1] & 0x1f) << 8) | buffer[offset + 2];
+    const adaptationControl = (buffer[offset + 3] >> 4) & 0x3;
+    let payload = offset + 4;
+    let randomAccess = false;
+
+    if (adaptationControl & 0x2) {
+      const adaptationLength = buffer[payload];
+      randomAccess = adaptationLength > 0 && (buffer[payload + 1] & 0x40) !== 0;
+      payload += 1 + adaptationLength;
+    }
+    if (!unitStart || !(adaptationControl & 0x1)) {
+      continue;
+    }
+
+    if (pid === 0) {
+      // PAT: PMT PID of the first program
+      const section = payload + 1 + buffer[payload];
+      pmtPid = ((buffer[section + 10] & 0x1f) << 8) | buffer[section + 11];
+    } else if (pid === pmtPid && videoPid === null) {
+      const section = payload + 1 + buffer[payload];
+      const sectionEnd =
+        section +
+        3 +
+        (((buffer[section + 1] & 0x0f) << 8) | buffer[section + 2]) -
+        4; // CRC32
+      let entry =
+        section +
+        12 +
+        (((buffer[section + 10] & 0x0f) << 8) | buffer[section + 11]);
+      while (entry < sectionEnd) {
+        if (TS_VIDEO_STREAM_TYPES.includes(buffer[entry])) {
+          videoPid = ((buffer[entry + 1] & 0x1f) << 8) | buffer[entry + 2];
+          break;
+        }
+        entry += 5 + (((buffer[entry + 3] & 0x0f) << 8) | buffer[entry + 4]);
+      }
+    } else if (pid === videoPid) {
+      pesStarts.push({
+        offset,
+        randomAccess,
+        pts: parsePesPts(buffer, payload),
+      });
+    }
+  }
+
+  if (pesStarts.length === 0) {
+    throw new Error("No video stream found in MPEG-TS segment");
+  }
+
+  const keyframes = pesStarts
+    .map((pes, i) => ({
+      offset: pes.offset,
+      length: (pesStarts[i + 1]?.offset ?? buffer.length) - pes.offset,
+      time: pes.pts / 90000,
+      randomAccess: pes.randomAccess,
+    }))
+    .filter((pes) => pes.randomAccess)
+    .map(({ offset, length, time }) => ({ offset, length, time }));
+
+  return { tableLength: pesStarts[0].offset, keyframes };
+}
+
+// 33-bit PTS from a PES header, in 90kHz ticks
+function parsePesPts(buffer, offset) {
+  if (!(buffer[offset + 7] & 0x80)) {
+    return 0;
+  }
+  const b = buffer.subarray(offset + 9, offset + 14);
+  return (
+    ((b[0] >> 1) & 0x07) * 2 ** 30 +
+    ((b[1] << 22) | ((b[2] >> 1) << 15) | (b[3] << 7) | (b[4] >> 1))
+  );
+}
+
+// Byte range of the first sample of an fMP4 segment: the moof box, the
+// mdat header and the keyframe's data. FFmpeg writes the video track
+// first, with sample data offsets relative to the moof box.
+function findFmp4Keyframe(buffer) {
+  const boxes = readBoxes(buffer, 0, buffer.length);
+  const moof = boxes.find((box) => box.type === "moof");
+  const mdat = boxes.find((box) => box.type === "mdat");
+  if (!moof || !mdat) {
+    throw new Error("No moof/mdat fragment in fMP4 segment");
+  }
+
+  const traf = readBoxes(buffer, moof.dataStart, moof.end).find(
+    (box) => box.type === "traf",
+  );
+  const trafBoxes = traf ? readBoxes(buffer, traf.dataStart, traf.end) : [];
+  const tfhd = trafBoxes.find((box) => box.type === "tfhd");
+  const trun = trafBoxes.find((box) => box.type === "trun");
+  if (!tfhd || !trun) {
+    throw new Error("Incomplete track fragment in fMP4 segment");
+  }
+
+  const tfhdFlags = buffer.readUIntBE(tfhd.dataStart + 1, 3);
+  let defaultSize = null;
+  if (tfhdFlags & 0x10) {
+    const sizeOffset =
+      tfhd.dataStart +
+      8 +
+      (tfhdFlags & 0x1 ? 8 : 0) +
+      (tfhdFlags & 0x2 ? 4 : 0) +
+      (tfhdFlags & 0x8 ? 4 : 0);
+    defaultSize = buffer.readUInt32BE(sizeOffset);
+  }
+
+  const trunFlags = buffer.readUIntBE(trun.dataStart + 1, 3);
+  let field = trun.dataStart + 8;
+  let dataOffset = null;
+  if (trunFlags & 0x1) {
+    dataOffset = buffer.readInt32BE(field);
+    field += 4;
+  }
+  if (trunFlags & 0x4) {
+    field += 4;
+  }
+  if (trunFlags & 0x100) {
+    field += 4;
+  }
+  const sampleSize =
+    trunFlags & 0x200 ? buffer.readUInt32BE(field) : defaultSize;
+  if (!sampleSize) {
+    throw new Error("Unknown keyframe size in fMP4 segment");
+  }
+
+  const sampleStart =
+    dataOffset !== null ? moof.start + dataOffset : mdat.dataStart;
+  return { offset: moof.start, length: sampleStart + sampleSize - moof.start };
+}
+
+function readBoxes(buffer, start, end) {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) {
+      break;
+    }
+    boxes.push({
+      type: buffer.toString("latin1", offset + 4, offset + 8),
+      start: offset,
+      dataStart: offset + headerSize,
+      end: offset + size,
+    });
+    offset += size;
+  }
+  return boxes;
+}
+
+export { findTsKeyframes, findFmp4Keyframe };
@@ -104,6 +104,7 @@ class QueueManager {
     videoName = null,
     environment = "production",
     callbackUrl = null,
+    options = {},
   ) {
     try {
       if (!transcodingQueue) {
@@ -117,6 +118,7 @@ class QueueManager {
         videoName: videoName || basename(originalKey, extname(originalKey)),
         environment: environment,
         callbackUrl: callbackUrl,
+        options,
       };
 
       const job = await transcodingQueue.add("transcode-video", jobData, {
@@ -11,7 +11,20 @@ import {
   statSync,
 } from "fs";
 import { getB2Service, BUCKET_TYPES } from "../services/b2.js";
-import { JobManager, LOG_LEVELS } from "../services/database.js";
+import { JobManager, PresetManager, LOG_LEVELS } from "../services/database.js";
+import { findTsKeyframes, findFmp4Keyframe } from "../services/keyframes.js";
+import {
+  CODEC_FAMILIES,
+  DEFAULT_CODEC_FAMILY,
+  THUMBNAIL_FORMATS,
+  AUDIO_CODEC_STRING,
+  DEFAULT_AUDIO_BITRATE,
+  AUDIO_SAMPLE_RATE,
+  getVideoCodecString,
+  getCodecsString,
+  getVideoEncoderOptions,
+  getBandwidth,
+} from "../services/codecs.js";
 import axios from "axios";
 
 // Format validation helpers (inline for simplicity)
@@ -80,55 +93,120 @@ const JOB_STAGES = {
   FAILED: "failed",
 };
 
-// Resolution configurations with codec profiles to match AWS ETS
-const RESOLUTION_CONFIGS = {
-  "1080p": {
-    width: 1920,
-    height: 1080,
-    bitrate: "6593k",
-    audioBitrate: "192k",
-    profile: "high",
-    level: "4.0",
-    codecs: "avc1.640028,mp4a.40.5",
-  },
-  "720p": {
-    width: 1280,
-    height: 720,
-    bitrate: "2766k",
-    audioBitrate: "128k",
-    profile: "high",
-    level: "4.0",
-    codecs: "avc1.640028,mp4a.40.5",
-  },
-  "480p": {
-    width: 854,
-    height: 480,
-    bitrate: "1395k",
-    audioBitrate: "128k",
-    profile: "main",
-    level: "3.1",
-    codecs: "avc1.42001f,mp4a.40.5",
-  },
-  "360p": {
-    width: 640,
-    height: 360,
-    bitrate: "1038k",
-    audioBitrate: "96k",
-    profile: "main",
-    level: "3.1",
-    codecs: "avc1.4d001f,mp4a.40.5",
+// Content types for the files an HLS rendition directory can contain
+const SEGMENT_CONTENT_TYPES = {
+  ".ts": "video/mp2t",
+  ".m4s": "video/iso.segment",
+  ".mp4": "video/mp4",
+  ".vtt": "text/vtt",
+};
+
+// Subtitle codecs FFmpeg can convert to WebVTT. Bitmap formats (PGS,
+// VobSub, DVB) would need OCR and are skipped.
+const TEXT_SUBTITLE_CODECS = [
+  "subrip",
+  "srt",
+  "ass",
+  "ssa",
+  "mov_text",
+  "webvtt",
+  "text",
+];
+
+const SUBTITLE_SEGMENT_DURATION = 10;
+
+// Target HLS segment length; a whole number of GOPs
+const HLS_SEGMENT_DURATION = 10;
+const GOP_DURATION = 2;
+
+// Broadcast and film rates as exact fractions. Variable frame rate phone
+// footage is snapped to the nearest one so the output is constant rate.
+const STANDARD_FRAME_RATES = [
+  [24000, 1001],
+  [24, 1],
+  [25, 1],
+  [30000, 1001],
+  [30, 1],
+  [48, 1],
+  [50, 1],
+  [60000, 1001],
+  [60, 1],
+  [120, 1],
+];
+
+// FFmpeg's MPEG-TS muxer starts timestamps at 1.4s (90kHz clock)
+const MPEGTS_START_PTS = 126000;
+
+// Quality metrics compare each rendition with the source over a window
+// from the middle of the video
+const QUALITY_SAMPLE_DURATION = 10;
+
+// Trickplay defaults: one 160px wide frame every 5 seconds, 100 frames
+// per sprite sheet
+const TRICKPLAY_INTERVAL = 5;
+const TRICKPLAY_WIDTH = 160;
+const TRICKPLAY_COLUMNS = 10;
+const TRICKPLAY_ROWS = 10;
+
+// Poster defaults match the original single thumbnail at 1 second
+const THUMBNAIL_DEFAULTS = {
+  positions: [1],
+  sizes: [320],
+  formats: ["jpg", "png"],
+};
+
+// Best-frame analysis looks at two frames per second between 5% and 95%
+// of the video. Frames with more than 40% near-black pixels are skipped,
+// and so are frames in or next to a scene change, which tend to be
+// mid-transition.
+const BEST_FRAME_SAMPLE_RATE = 2;
+const BEST_FRAME_RANGE = [0.05, 0.95];
+const BEST_FRAME_MAX_BLACK = 40;
+const BEST_FRAME_MAX_SCENE = 0.3;
+
+// Hover preview defaults: four 2 second clips from across the video
+const PREVIEW_DEFAULTS = {
+  clips: 4,
+  clipDuration: 2,
+  width: 480,
+  formats: ["mp4", "webp"],
+};
+const PREVIEW_FRAME_RATE = 15;
+
+// The MP4 is encoded from the source; WebP and GIF are converted from it
+const PREVIEW_FORMATS = {
+  mp4: { contentType: "video/mp4" },
+  webp: {
+    contentType: "image/webp",
+    encoder: "libwebp",
+    options: ["-c:v libwebp", "-quality 60", "-loop 0"],
   },
-  "240p": {
-    width: 426,
-    height: 240,
-    bitrate: "400k",
-    audioBitrate: "64k",
-    profile: "baseline",
-    level: "3.0",
-    codecs: "avc1.42001e,mp4a.40.5",
+  gif: {
+    contentType: "image/gif",
+    options: [
+      "-vf split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer",
+      "-loop 0",
+    ],
   },
 };
 
+// Watermark margin and logo height are shares of the rendition height
+const WATERMARK_DEFAULTS = {
+  position: "bottom-right",
+  margin: 0.03,
+  opacity: 0.8,
+  scale: 0.08,
+};
+
+// overlay x:y per position; W/H is the frame and w/h the logo
+const WATERMARK_POSITIONS = {
+  "top-left": (m) => [m, m],
+  "top-right": (m) => [`W-w-${m}`, m],
+  "bottom-left": (m) => [m, `H-h-${m}`],
+  "bottom-right": (m) => [`W-w-${m}`, `H-h-${m}`],
+  center: () => ["(W-w)/2", "(H-h)/2"],
+};
+
 class TranscodingError extends Error {
   constructor(message, stage, originalError = null) {
     super(message);
@@ -159,6 +237,7 @@ class JobStateManager {
       jobId: this.jobId,
       stage: JOB_STAGES.INITIALIZED,
       completedResolutions: [],
+      variantSegments: {},
       uploadedFiles: [],
       videoInfo: null,
       validResolutions: [],
@@ -211,6 +290,42 @@ class JobStateManager {
     this.saveState();
   }
 
+  setVariantSegments(variantId, durations) {
+    this.state.variantSegments = this.state.variantSegments || {};
+    this.state.variantSegments[variantId] = durations;
+    this.saveState();
+  }
+
+  getVariantSegments(variantId) {
+    return this.state.variantSegments?.[variantId] || null;
+  }
+
+  setDownload(resolution, download) {
+    this.state.downloads = this.state.downloads || {};
+    this.state.downloads[resolution] = download;
+    this.saveState();
+  }
+
+  getDownload(resolution) {
+    return this.state.downloads?.[resolution] || null;
+  }
+
+  setVariantIFrames(variantId, iFrames) {
+    this.state.variantIFrames = this.state.variantIFrames || {};
+    this.state.variantIFrames[variantId] = iFrames;
+    this.saveState();
+  }
+
+  getVariantIFrames(variantId) {
+    return this.state.variantIFrames?.[variantId] || null;
+  }
+
+  setVariantQuality(variantId, metrics) {
+    this.state.qualityMetrics = this.state.qualityMetrics || {};
+    this.state.qualityMetrics[variantId] = metrics;
+    this.saveState();
+  }
+
   isResolutionCompleted(resolution) {
     return this.state.completedResolutions.includes(resolution);
   }
@@ -228,6 +343,7 @@ async function transcodingWorker(job) {
     videoName,
     environment,
     callbackUrl,
+    options = {},
   } = job.data;
 
   // Use videoName from API, or fallback to originalKey basename
@@ -305,7 +421,25 @@ async function transcodingWorker(job) {
       };
     }
 
-    stateManager.updateStage(JOB_STAGES.INITIALIZED, { outputVideoName });
+    // Load the exact preset version this job was queued with
+    const preset = await loadPreset(options.preset);
+    await JobManager.addJobLog(
+      jobId,
+      LOG_LEVELS.INFO,
+      `Using encoding preset ${preset.name} v${preset.version}`,
+      "initialization",
+      {
+        preset: preset.name,
+        version: preset.version,
+        renditions: Object.keys(preset.ladder),
+      },
+    );
+
+    stateManager.updateStage(JOB_STAGES.INITIALIZED, {
+      outputVideoName,
+      preset: { name: preset.name, version: preset.version },
+    });
+    const { ladder } = preset;
 
     // Stage 1: Download original file (skip if already downloaded)
     if (!stateManager.isStageCompleted(JOB_STAGES.DOWNLOADED)) {
@@ -368,7 +502,160 @@ async function transcodingWorker(job) {
         throw new TranscodingError("Downloaded file not found", "download");
       }
 
-      stateManager.updateStage(JOB_STAGES.DOWNLOADED, { downloadedFile });
+      let captionFiles = await prepareCaptions(
+        options.captions || [],
+        tempDir,
+        b2Service,
+        jobId,
+      );
+
+      // The intermediates below are already rotated upright, so the
+      // source's own orientation is recorded before they replace it
+      let originalOrientation = null;
+
+      // Trimming replaces the download with an intermediate holding only
+      // the kept ranges, so every later stage sees the trimmed timeline
+      let trim = null;
+      if (options.trim?.length) {
+        job.progress(7);
+        const sourceInfo = await getVideoInfo(downloadedFile);
+        originalOrientation = getOriginalOrientation(sourceInfo);
+        const ranges = resolveTrimRanges(options.trim, sourceInfo.duration);
+        if (ranges.length === 0) {
+          throw new TranscodingError(
+            `Trim ranges are outside the video (${sourceInfo.duration}s)`,
+            "validation",
+          );
+        }
+
+        await JobManager.addJobLog(
+          jobId,
+          LOG_LEVELS.INFO,
+          `Trimming to ${ranges.map((r) => `${r.start}s-${r.end}s`).join(", ")}`,
+          "trim",
+          { ranges, sourceDuration: sourceInfo.duration },
+        );
+
+        const trimmedFile = await trimSource(
+          downloadedFile,
+          tempDir,
+          ranges,
+          sourceInfo,
+          jobId,
+        );
+        rmSync(downloadedFile, { force: true });
+        downloadedFile = trimmedFile;
+        captionFiles = trimCaptionFiles(captionFiles, ranges);
+        trim = {
+          ranges,
+          sourceDuration: sourceInfo.duration,
+          duration:
+            Math.round(
+              ranges.reduce((total, r) => total + r.end - r.start, 0) * 1000,
+            ) / 1000,
+        };
+      }
+
+      // Bumpers are stitched onto the (trimmed) source, so trim ranges
+      // only ever apply to the main content
+      let bumpers = null;
+      if (options.bumpers?.intro || options.bumpers?.outro) {
+        job.progress(8);
+        const mainInfo = await getVideoInfo(downloadedFile);
+        if (!originalOrientation) {
+          originalOrientation = getOriginalOrientation(mainInfo);
+        }
+        const display = getDisplaySize(mainInfo);
+        const sourceRange = detectDynamicRange(mainInfo).range;
+        const bumperFiles = {};
+        for (const name of ["intro", "outro"]) {
+          const key = options.bumpers[name];
+          if (!key) {
+            continue;
+          }
+          const path = join(tempDir, `bumper-${name}${extname(key)}`);
+          try {
+            await b2Service.downloadFile(
+              key,
+              path,
+              BUCKET_TYPES.ORIGINAL_VIDEO,
+            );
+          } catch (downloadError) {
+            throw new TranscodingError(
+              `Bumper download failed for ${key}: ${downloadError.message}`,
+              "download",
+              downloadError,
+            );
+          }
+          const info = await getVideoInfo(path);
+          // Bumpers are encoded with the source's colour tags, so an SDR
+          // bumper on an HDR source would play blown out
+          const bumperRange = detectDynamicRange(info).range;
+          if (bumperRange !== sourceRange) {
+            throw new TranscodingError(
+              `Bumper ${key} is ${bumperRange.toUpperCase()} but the source is ${sourceRange.toUpperCase()}; bumpers must match the source's dynamic range`,
+              "bumpers",
+            );
+          }
+          bumperFiles[name] = { key, path, info };
+        }
+
+        await JobManager.addJobLog(
+          jobId,
+          LOG_LEVELS.INFO,
+          `Stitching ${Object.keys(bumperFiles).join(" and ")} bumper${Object.keys(bumperFiles).length > 1 ? "s" : ""}`,
+          "bumpers",
+          {
+            intro: bumperFiles.intro?.key || null,
+            outro: bumperFiles.outro?.key || null,
+            size: `${display.width}x${display.height}`,
+            frameRate: mainInfo.frameRate,
+          },
+        );
+
+        const stitchedFile = await stitchBumpers(
+          downloadedFile,
+          bumperFiles,
+          tempDir,
+          mainInfo,
+          jobId,
+        );
+        rmSync(downloadedFile, { force: true });
+        Object.values(bumperFiles).forEach((bumper) =>
+          rmSync(bumper.path, { force: true }),
+        );
+        downloadedFile = stitchedFile;
+
+        const introDuration = bumperFiles.intro?.info.duration || 0;
+        if (introDuration > 0) {
+          captionFiles = offsetCaptionFiles(captionFiles, introDuration);
+        }
+        const describe = (bumper) =>
+          bumper ? { key: bumper.key, duration: bumper.info.duration } : null;
+        bumpers = {
+          intro: describe(bumperFiles.intro),
+          outro: describe(bumperFiles.outro),
+          contentStart: introDuration,
+          contentDuration: mainInfo.duration,
+        };
+      }
+
+      const watermark = await prepareWatermark(
+        options.watermark,
+        environment,
+        tempDir,
+        b2Service,
+        jobId,
+      );
+
+      stateManager.updateStage(JOB_STAGES.DOWNLOADED, {
+        downloadedFile,
+        captionFiles,
+        originalOrientation,
+        trim,
+        bumpers,
+        watermark,
+      });
     } else {
       downloadedFile = stateManager.state.downloadedFile;
       await JobManager.addJobLog(
@@ -399,6 +686,7 @@ async function transcodingWorker(job) {
           {
             width: videoInfo.width,
             height: videoInfo.height,
+            rotation: videoInfo.rotation,
             duration: videoInfo.duration,
             codec: videoInfo.codec,
             bitrate: videoInfo.bitrate,
@@ -407,7 +695,11 @@ async function transcodingWorker(job) {
         );
 
         // Filter resolutions based on source video
-        const validResolutions = filterValidResolutions(resolutions, videoInfo);
+        const validResolutions = filterValidResolutions(
+          resolutions,
+          videoInfo,
+          ladder,
+        );
         await JobManager.addJobLog(
           jobId,
           LOG_LEVELS.INFO,
@@ -437,9 +729,196 @@ async function transcodingWorker(job) {
           );
         }
 
+        // H.264 is always encoded; other families only when the encoder exists
+        const codecFamilies = await resolveCodecFamilies(options.codecs);
+        const skippedFamilies = (options.codecs || []).filter(
+          (family) => !codecFamilies.includes(family),
+        );
+        if (skippedFamilies.length > 0) {
+          await JobManager.addJobLog(
+            jobId,
+            LOG_LEVELS.WARN,
+            `Skipping unavailable codecs: ${skippedFamilies.join(", ")}`,
+            "validation",
+            {
+              requestedCodecs: options.codecs,
+              codecFamilies,
+            },
+          );
+        }
+
+        const dynamicRange = await resolveDynamicRange(videoInfo, options);
+        const rangeName = dynamicRange.source.toUpperCase();
+        let rangeMessage = `SDR source${dynamicRange.note ? ` (${dynamicRange.note})` : ""}`;
+        if (dynamicRange.source !== "sdr") {
+          rangeMessage = dynamicRange.toneMap
+            ? `HDR source (${rangeName}): tone mapping to BT.709 SDR${dynamicRange.hdrLadder ? ", keeping an HDR HEVC ladder" : ""}`
+            : `HDR source (${rangeName}): encoding without tone mapping`;
+        }
+        await JobManager.addJobLog(
+          jobId,
+          dynamicRange.reason || dynamicRange.note
+            ? LOG_LEVELS.WARN
+            : LOG_LEVELS.INFO,
+          rangeMessage,
+          "analysis",
+          {
+            colorPrimaries: videoInfo.colorPrimaries,
+            colorTransfer: videoInfo.colorTransfer,
+            colorSpace: videoInfo.colorSpace,
+            pixelFormat: videoInfo.pixelFormat,
+            ...dynamicRange,
+          },
+        );
+
+        const deinterlace = await resolveDeinterlace(
+          videoInfo,
+          downloadedFile,
+          options,
+        );
+        if (deinterlace.applied || deinterlace.detection) {
+          await JobManager.addJobLog(
+            jobId,
+            LOG_LEVELS.INFO,
+            deinterlace.applied
+              ? `Deinterlacing (${deinterlace.mode}, ${deinterlace.parity || "auto parity"})`
+              : "Source is progressive, not deinterlacing",
+            "analysis",
+            deinterlace,
+          );
+        }
+
+        const { tracks: audioTracks, missingLanguages } = selectAudioTracks(
+          videoInfo,
+          options,
+        );
+        if (missingLanguages.length > 0) {
+          await JobManager.addJobLog(
+            jobId,
+            LOG_LEVELS.WARN,
+            `Source has no audio in: ${missingLanguages.join(", ")}`,
+            "validation",
+            {
+              requestedLanguages: options.audioLanguages,
+              sourceLanguages: (videoInfo.audioTracks || []).map(
+                (t) => t.language,
+              ),
+            },
+          );
+        }
+        if (audioTracks.length > 1) {
+          await JobManager.addJobLog(
+            jobId,
+            LOG_LEVELS.INFO,
+            `Encoding ${audioTracks.length} audio tracks as separate renditions`,
+            "analysis",
+            { audioTracks },
+          );
+        }
+
+        const { tracks: subtitleTracks, skipped: skippedSubtitles } =
+          selectSubtitleTracks(videoInfo);
+        if (skippedSubtitles.length > 0) {
+          await JobManager.addJobLog(
+            jobId,
+            LOG_LEVELS.WARN,
+            `Skipping ${skippedSubtitles.length} bitmap subtitle tracks`,
+            "validation",
+            {
+              skippedSubtitles: skippedSubtitles.map(({ index, codec }) => ({
+                index,
+                codec,
+              })),
+            },
+          );
+        }
+        if (subtitleTracks.length > 0) {
+          await JobManager.addJobLog(
+            jobId,
+            LOG_LEVELS.INFO,
+            `Converting ${subtitleTracks.length} subtitle tracks to WebVTT`,
+            "analysis",
+            { subtitleTracks },
+          );
+        }
+
+        let perTitle = null;
+        if (options.perTitle && validResolutions.length > 0) {
+          job.progress(11);
+          try {
+            perTitle = await analyzePerTitle(
+              downloadedFile,
+              tempDir,
+              ladder,
+              validResolutions,
+              videoInfo,
+              options,
+              deinterlace,
+              dynamicRange,
+            );
+            await JobManager.addJobLog(
+              jobId,
+              LOG_LEVELS.INFO,
+              `Per-title ladder: ${perTitle.resolutions
+                .map((r) => `${r}@${perTitle.ladder[r]}`)
+                .join(", ")}`,
+              "analysis",
+              perTitle,
+            );
+          } catch (perTitleError) {
+            await JobManager.addJobLog(
+              jobId,
+              LOG_LEVELS.WARN,
+              `Per-title analysis failed, using preset bitrates: ${perTitleError.message}`,
+              "analysis",
+              { error: perTitleError.message },
+            );
+          }
+        }
+
+        let loudness = null;
+        if (options.loudness && audioTracks.length > 0) {
+          job.progress(11);
+          try {
+            loudness = await analyzeLoudness(
+              downloadedFile,
+              audioTracks,
+              options.loudness,
+            );
+            await JobManager.addJobLog(
+              jobId,
+              LOG_LEVELS.INFO,
+              `Loudness normalisation to ${loudness.target} LUFS / ${loudness.truePeak} dBTP: ${loudness.tracks
+                .map((t) =>
+                  t.skipped
+                    ? `track ${t.index} skipped`
+                    : `track ${t.index} ${t.measured.integrated} -> ${t.output.integrated} LUFS (${t.mode})`,
+                )
+                .join(", ")}`,
+              "analysis",
+              loudness,
+            );
+          } catch (loudnessError) {
+            await JobManager.addJobLog(
+              jobId,
+              LOG_LEVELS.WARN,
+              `Loudness measurement failed, keeping source levels: ${loudnessError.message}`,
+              "analysis",
+              { error: loudnessError.message },
+            );
+          }
+        }
+
         stateManager.updateStage(JOB_STAGES.ANALYZED, {
           videoInfo,
-          validResolutions,
+          validResolutions: perTitle ? perTitle.resolutions : validResolutions,
+          perTitle,
+          loudness,
+          codecFamilies,
+          audioTracks,
+          subtitleTracks,
+          dynamicRange,
+          deinterlace,
         });
       } catch (analysisError) {
         await JobManager.addJobLog(
@@ -464,6 +943,62 @@ async function transcodingWorker(job) {
     }
 
     const { videoInfo, validResolutions } = stateManager.state;
+    const codecFamilies = stateManager.state.codecFamilies || [
+      DEFAULT_CODEC_FAMILY,
+    ];
+    const audioTracks =
+      stateManager.state.audioTracks ||
+      selectAudioTracks(videoInfo, options).tracks;
+    const subtitleTracks =
+      stateManager.state.subtitleTracks ||
+      selectSubtitleTracks(videoInfo).tracks;
+    const captionFiles = stateManager.state.captionFiles || [];
+    const dynamicRange = stateManager.state.dynamicRange || {
+      source: "sdr",
+      toneMap: false,
+      hdrLadder: false,
+    };
+    const deinterlace = stateManager.state.deinterlace || { applied: false };
+    const perTitle = stateManager.state.perTitle || null;
+    const watermark = stateManager.state.watermark || null;
+    const loudness = stateManager.state.loudness || null;
+    const bumpers = stateManager.state.bumpers || null;
+    const originalOrientation =
+      stateManager.state.originalOrientation ||
+      getOriginalOrientation(videoInfo);
+    // Posters and previews are taken from the main content, not the bumpers
+    const content = bumpers
+      ? { start: bumpers.contentStart, duration: bumpers.contentDuration }
+      : null;
+    const outputLadder = fitLadderToSource(
+      applyPerTitleLadder(ladder, perTitle),
+      validResolutions,
+      videoInfo,
+      options,
+    );
+    const variants = buildVariants(
+      validResolutions,
+      codecFamilies,
+      outputLadder,
+      options,
+      {
+        audioTracks,
+        subtitleTracks,
+        captionFiles,
+        dynamicRange,
+        deinterlace,
+        watermark,
+        loudness,
+      },
+    );
+    if (watermark && variants.some((v) => v.type === "video" && !v.watermark)) {
+      await JobManager.addJobLog(
+        jobId,
+        LOG_LEVELS.WARN,
+        "HDR renditions are not watermarked: zscale filter unavailable",
+        "transcoding",
+      );
+    }
 
     // Stage 3: Generate thumbnails (skip if already generated)
     if (!stateManager.isStageCompleted(JOB_STAGES.THUMBNAILS_GENERATED)) {
@@ -475,24 +1010,46 @@ async function transcodingWorker(job) {
         "thumbnails",
       );
 
+      let thumbnails = [];
       try {
-        const thumbnailPaths = await generateThumbnails(
+        const result = await generateThumbnails(
           downloadedFile,
           tempDir,
           outputVideoName,
+          videoInfo,
+          options.thumbnails,
+          { deinterlace, dynamicRange, content },
         );
+        thumbnails = result.thumbnails;
+
+        if (result.bestFrame) {
+          await JobManager.addJobLog(
+            jobId,
+            result.bestFrame.fallback ? LOG_LEVELS.WARN : LOG_LEVELS.INFO,
+            result.bestFrame.fallback
+              ? `No clean poster frame found, using ${result.bestFrame.time}s`
+              : `Best poster frame at ${result.bestFrame.time}s`,
+            "thumbnails",
+            result.bestFrame,
+          );
+        }
+        if (result.skippedFormats.length > 0) {
+          await JobManager.addJobLog(
+            jobId,
+            LOG_LEVELS.WARN,
+            `Skipping thumbnail formats without an encoder: ${result.skippedFormats.join(", ")}`,
+            "thumbnails",
+          );
+        }
         await JobManager.addJobLog(
           jobId,
           LOG_LEVELS.INFO,
-          `Generated ${thumbnailPaths.length} thumbnails`,
+          `Generated ${thumbnails.length} thumbnails`,
           "thumbnails",
           {
-            thumbnailPaths: thumbnailPaths.map((p) => basename(p)),
+            thumbnailPaths: thumbnails.map((t) => basename(t.path)),
           },
         );
-        stateManager.updateStage(JOB_STAGES.THUMBNAILS_GENERATED, {
-          thumbnailPaths,
-        });
       } catch (thumbnailError) {
         await JobManager.addJobLog(
           jobId,
@@ -504,10 +1061,93 @@ async function transcodingWorker(job) {
           },
         );
         // Continue without thumbnails
-        stateManager.updateStage(JOB_STAGES.THUMBNAILS_GENERATED, {
-          thumbnailPaths: [],
-        });
       }
+
+      let trickplay = null;
+      if (options.trickplay) {
+        try {
+          trickplay = await generateTrickplay(
+            downloadedFile,
+            tempDir,
+            videoInfo,
+            options.trickplay,
+            { deinterlace, dynamicRange },
+          );
+          await JobManager.addJobLog(
+            jobId,
+            LOG_LEVELS.INFO,
+            `Generated ${trickplay.frameCount} trickplay frames in ${trickplay.spritePaths.length} sprite sheets`,
+            "thumbnails",
+            {
+              interval: trickplay.interval,
+              tileSize: `${trickplay.width}x${trickplay.height}`,
+              grid: `${trickplay.columns}x${trickplay.rows}`,
+            },
+          );
+        } catch (trickplayError) {
+          await JobManager.addJobLog(
+            jobId,
+            LOG_LEVELS.WARN,
+            `Trickplay generation failed: ${trickplayError.message}`,
+            "thumbnails",
+            {
+              error: trickplayError.message,
+            },
+          );
+          // Continue without trickplay
+        }
+      }
+
+      let preview = null;
+      if (options.preview) {
+        try {
+          preview = await generatePreview(
+            downloadedFile,
+            tempDir,
+            outputVideoName,
+            videoInfo,
+            options.preview,
+            { deinterlace, dynamicRange, content },
+          );
+          if (preview.skippedFormats.length > 0) {
+            await JobManager.addJobLog(
+              jobId,
+              LOG_LEVELS.WARN,
+              `Skipping preview formats without an encoder: ${preview.skippedFormats.join(", ")}`,
+              "thumbnails",
+            );
+          }
+          await JobManager.addJobLog(
+            jobId,
+            LOG_LEVELS.INFO,
+            `Generated ${preview.duration}s preview from ${preview.clips.length} clips`,
+            "thumbnails",
+            {
+              clips: preview.clips,
+              formats: Object.keys(preview.paths),
+              size: `${preview.width}x${preview.height}`,
+            },
+          );
+        } catch (previewError) {
+          await JobManager.addJobLog(
+            jobId,
+            LOG_LEVELS.WARN,
+            `Preview generation failed: ${previewError.message}`,
+            "thumbnails",
+            {
+              error: previewError.message,
+            },
+          );
+          // Continue without a preview
+        }
+      }
+
+      stateManager.updateStage(JOB_STAGES.THUMBNAILS_GENERATED, {
+        thumbnailPaths: thumbnails.map((t) => t.path),
+        thumbnails,
+        trickplay,
+        preview,
+      });
     } else {
       await JobManager.addJobLog(
         jobId,
@@ -517,83 +1157,244 @@ async function transcodingWorker(job) {
       );
     }
 
-    // Stage 4: Transcode to multiple resolutions (resume incomplete resolutions)
-    const progressPerResolution = 65 / validResolutions.length;
+    // Stage 4: Transcode every variant (resume incomplete ones). Subtitles
+    // are converted on their own, never as part of the shared encode.
+    const pendingVariants = variants.filter(
+      (v) => v.type !== "subtitle" && !stateManager.isResolutionCompleted(v.id),
+    );
+    const singlePass =
+      Boolean(options.singlePass) && pendingVariants.length > 1;
+
+    // In single-pass mode the shared encode takes the first half of the
+    // budget and the per-variant loop only covers uploads
+    const transcodeShare = singlePass ? 0 : 0.5;
+    const progressPerVariant = (singlePass ? 32.5 : 65) / variants.length;
     let currentProgress = 15;
 
+    // libvmaf is an optional FFmpeg build flag; SSIM and PSNR are built in
+    const qualityWindow = options.qualityMetrics
+      ? getQualityWindow(videoInfo.duration)
+      : null;
+    const vmafAvailable = options.qualityMetrics
+      ? Boolean((await getAvailableFilters()).libvmaf)
+      : false;
+    if (options.qualityMetrics && !vmafAvailable) {
+      await JobManager.addJobLog(
+        jobId,
+        LOG_LEVELS.WARN,
+        "libvmaf is not available, measuring SSIM and PSNR only",
+        "quality",
+      );
+    }
+
     const transcodedFiles = [];
     const baseName = basename(originalKey, extname(originalKey));
     const timestamp = new Date().toISOString().slice(0, 10);
     const baseOutputPath = `transcoded/${timestamp}/${baseName}`;
 
-    for (let i = 0; i < validResolutions.length; i++) {
-      const resolution = validResolutions[i];
-
-      if (stateManager.isResolutionCompleted(resolution)) {
-        await JobManager.addJobLog(
-          jobId,
-          LOG_LEVELS.INFO,
-          `Skipping ${resolution} transcoding (already completed)`,
-          "transcoding",
-        );
-        currentProgress += progressPerResolution;
-        job.progress(Math.round(currentProgress));
-        continue;
-      }
-
+    if (singlePass) {
       await JobManager.addJobLog(
         jobId,
         LOG_LEVELS.INFO,
-        `Starting ${resolution} transcoding`,
+        `Starting single-pass transcoding of ${pendingVariants.length} variants`,
         "transcoding",
         {
-          resolution,
-          config: RESOLUTION_CONFIGS[resolution],
+          variants: pendingVariants.map((v) => v.id),
         },
       );
 
-      const resolutionDir = join(tempDir, `hls_${resolution}`);
-      if (!existsSync(resolutionDir)) {
-        mkdirSync(resolutionDir, { recursive: true });
-      }
-
-      const playlistPath = join(resolutionDir, "index-.m3u8");
+      const variantOutputs = pendingVariants.map((variant) => {
+        const resolutionDir = join(tempDir, `hls_${variant.id}`);
+        if (!existsSync(resolutionDir)) {
+          mkdirSync(resolutionDir, { recursive: true });
+        }
+        return {
+          ...variant,
+          playlistPath: join(resolutionDir, "index-.m3u8"),
+        };
+      });
 
       try {
-        // STEP 1: Transcode this resolution
-        await transcodeToHLS(
+        await transcodeToHLSSinglePass(
           downloadedFile,
-          playlistPath,
-          resolution,
+          variantOutputs,
           jobId,
           (progress) => {
-            const totalProgress =
-              currentProgress + (progress * progressPerResolution * 0.5) / 100; // 50% for transcode
-            job.progress(Math.round(totalProgress));
+            job.progress(Math.round(15 + (progress * 32.5) / 100));
           },
         );
-
+      } catch (transcodeError) {
         await JobManager.addJobLog(
           jobId,
-          LOG_LEVELS.INFO,
-          `Transcoding complete for ${resolution}`,
+          LOG_LEVELS.ERROR,
+          `Single-pass transcoding failed: ${transcodeError.message}`,
           "transcoding",
           {
-            resolution,
-            outputPath: playlistPath,
+            error: transcodeError.message,
+            stack: transcodeError.stack,
+          },
+        );
+        throw transcodeError;
+      }
+
+      currentProgress = 47.5;
+      job.progress(Math.round(currentProgress));
+    }
+
+    for (const variant of variants) {
+      const { id, resolution, family, config } = variant;
+
+      if (stateManager.isResolutionCompleted(id)) {
+        await JobManager.addJobLog(
+          jobId,
+          LOG_LEVELS.INFO,
+          `Skipping ${id} transcoding (already completed)`,
+          "transcoding",
+        );
+        // Already uploaded, but still part of the master playlist
+        transcodedFiles.push({
+          ...variant,
+          segments: stateManager.getVariantSegments(id),
+          iFrames: stateManager.getVariantIFrames(id),
+          playlistPath: null,
+          segmentsDir: null,
+        });
+        currentProgress += progressPerVariant;
+        job.progress(Math.round(currentProgress));
+        continue;
+      }
+
+      await JobManager.addJobLog(
+        jobId,
+        LOG_LEVELS.INFO,
+        singlePass ? `Processing ${id} output` : `Starting ${id} transcoding`,
+        "transcoding",
+        {
+          resolution,
+          codec: family,
+          config,
+        },
+      );
+
+      const resolutionDir = join(tempDir, `hls_${id}`);
+      if (!existsSync(resolutionDir)) {
+        mkdirSync(resolutionDir, { recursive: true });
+      }
+
+      const playlistPath = join(resolutionDir, "index-.m3u8");
+
+      try {
+        // STEP 1: Transcode this variant (already done in single-pass mode)
+        if (variant.type === "subtitle") {
+          await createSubtitleRendition(
+            downloadedFile,
+            playlistPath,
+            variant,
+            videoInfo.duration,
+            options.segmentFormat === "fmp4" ? 0 : MPEGTS_START_PTS,
+            jobId,
+          );
+        } else if (!singlePass) {
+          await transcodeToHLS(
+            downloadedFile,
+            playlistPath,
+            variant,
+            jobId,
+            (progress) => {
+              const totalProgress =
+                currentProgress + (progress * progressPerVariant * 0.5) / 100; // 50% for transcode
+              job.progress(Math.round(totalProgress));
+            },
+          );
+        }
+
+        await JobManager.addJobLog(
+          jobId,
+          LOG_LEVELS.INFO,
+          `Transcoding complete for ${id}`,
+          "transcoding",
+          {
+            resolution,
+            codec: family,
+            outputPath: playlistPath,
           },
         );
 
-        // STEP 2: Immediately upload all files for this resolution
+        // Segment durations are needed for the DASH timeline after the
+        // local files are gone
+        const segmentDurations = readSegmentDurations(playlistPath);
+        stateManager.setVariantSegments(id, segmentDurations);
+
+        // I-frame playlists point into the segments just written, so they
+        // are built before upload. Without one the rendition still plays.
+        let iFrames = null;
+        if (variant.type === "video" && options.iFramePlaylists !== false) {
+          try {
+            iFrames = createIFramePlaylist(
+              playlistPath,
+              join(resolutionDir, "iframes.m3u8"),
+              variant.segmentType,
+            );
+            stateManager.setVariantIFrames(id, iFrames);
+            await JobManager.addJobLog(
+              jobId,
+              LOG_LEVELS.DEBUG,
+              `Created I-frame playlist for ${id} (${iFrames.frameCount} frames)`,
+              "playlist",
+              iFrames,
+            );
+          } catch (iFrameError) {
+            await JobManager.addJobLog(
+              jobId,
+              LOG_LEVELS.WARN,
+              `I-frame playlist failed for ${id}: ${iFrameError.message}`,
+              "playlist",
+              { error: iFrameError.message },
+            );
+          }
+        }
+
+        // Scores are informational, so a failed measurement never fails
+        // the job
+        if (qualityWindow && variant.type === "video") {
+          try {
+            const metrics = await measureRenditionQuality(
+              downloadedFile,
+              playlistPath,
+              variant,
+              videoInfo,
+              qualityWindow,
+              vmafAvailable,
+            );
+            stateManager.setVariantQuality(id, metrics);
+            await JobManager.addJobLog(
+              jobId,
+              LOG_LEVELS.INFO,
+              `Quality for ${id}: ${formatQualityMetrics(metrics)}`,
+              "quality",
+              { ...metrics, window: qualityWindow },
+            );
+          } catch (qualityError) {
+            await JobManager.addJobLog(
+              jobId,
+              LOG_LEVELS.WARN,
+              `Quality measurement failed for ${id}: ${qualityError.message}`,
+              "quality",
+              { error: qualityError.message },
+            );
+          }
+        }
+
+        // STEP 2: Immediately upload all files for this variant
         await JobManager.addJobLog(
           jobId,
           LOG_LEVELS.INFO,
-          `Uploading ${resolution} files to B2`,
+          `Uploading ${id} files to B2`,
           "upload",
         );
 
         // Upload playlist
-        const playlistKey = `${outputVideoName}/hls_${resolution}/index-.m3u8`;
+        const playlistKey = `${outputVideoName}/hls_${id}/index-.m3u8`;
         await b2Service.uploadFile(
           playlistPath,
           playlistKey,
@@ -608,20 +1409,31 @@ async function transcodingWorker(job) {
           "upload",
         );
 
-        // Upload all segment files
+        if (iFrames) {
+          const iFramePlaylistKey = `${outputVideoName}/hls_${id}/iframes.m3u8`;
+          await b2Service.uploadFile(
+            join(resolutionDir, "iframes.m3u8"),
+            iFramePlaylistKey,
+            "application/x-mpegURL",
+            BUCKET_TYPES.HLS_OUTPUT,
+          );
+          stateManager.addUploadedFile("iframes.m3u8", iFramePlaylistKey);
+        }
+
+        // Upload all segment files (plus the init segment for fMP4)
         const segmentFiles = readdirSync(resolutionDir).filter((file) =>
-          file.endsWith(".ts"),
+          Object.keys(SEGMENT_CONTENT_TYPES).includes(extname(file)),
         );
 
         let uploadedSegments = 0;
         for (const segmentFile of segmentFiles) {
           const segmentPath = join(resolutionDir, segmentFile);
-          const segmentKey = `${outputVideoName}/hls_${resolution}/${segmentFile}`;
+          const segmentKey = `${outputVideoName}/hls_${id}/${segmentFile}`;
 
           await b2Service.uploadFile(
             segmentPath,
             segmentKey,
-            "video/mp2t",
+            SEGMENT_CONTENT_TYPES[extname(segmentFile)],
             BUCKET_TYPES.HLS_OUTPUT,
           );
           stateManager.addUploadedFile(segmentFile, segmentKey);
@@ -630,25 +1442,25 @@ async function transcodingWorker(job) {
           // Update progress for uploads
           const uploadProgress =
             currentProgress +
-            progressPerResolution * 0.5 +
+            progressPerVariant * transcodeShare +
             (uploadedSegments / segmentFiles.length) *
-              progressPerResolution *
-              0.5;
+              progressPerVariant *
+              (1 - transcodeShare);
           job.progress(Math.round(uploadProgress));
         }
 
         await JobManager.addJobLog(
           jobId,
           LOG_LEVELS.INFO,
-          `Uploaded ${segmentFiles.length} segments for ${resolution}`,
+          `Uploaded ${segmentFiles.length} segments for ${id}`,
           "upload",
         );
 
-        // STEP 3: Immediately delete the entire resolution directory
+        // STEP 3: Immediately delete the entire variant directory
         await JobManager.addJobLog(
           jobId,
           LOG_LEVELS.INFO,
-          `Deleting local files for ${resolution}`,
+          `Deleting local files for ${id}`,
           "cleanup",
         );
 
@@ -658,24 +1470,27 @@ async function transcodingWorker(job) {
         await JobManager.addJobLog(
           jobId,
           LOG_LEVELS.INFO,
-          `Freed ${(resolutionSize / 1024 / 1024).toFixed(2)}MB from ${resolution}`,
+          `Freed ${(resolutionSize / 1024 / 1024).toFixed(2)}MB from ${id}`,
           "cleanup",
           {
             resolution,
+            codec: family,
             sizeBytes: resolutionSize,
             sizeMB: (resolutionSize / 1024 / 1024).toFixed(2),
           },
         );
 
         console.log(
-          `🧹 Deleted ${resolution} files (${(resolutionSize / 1024 / 1024).toFixed(2)}MB freed)`,
+          `🧹 Deleted ${id} files (${(resolutionSize / 1024 / 1024).toFixed(2)}MB freed)`,
         );
 
-        // Mark this resolution as completed
-        stateManager.addCompletedResolution(resolution);
+        // Mark this variant as completed
+        stateManager.addCompletedResolution(id);
 
         transcodedFiles.push({
-          resolution,
+          ...variant,
+          segments: segmentDurations,
+          iFrames,
           playlistPath: null, // Already deleted
           segmentsDir: null, // Already deleted
         });
@@ -683,10 +1498,11 @@ async function transcodingWorker(job) {
         await JobManager.addJobLog(
           jobId,
           LOG_LEVELS.ERROR,
-          `${resolution} processing failed: ${transcodeError.message}`,
+          `${id} processing failed: ${transcodeError.message}`,
           "transcoding",
           {
             resolution,
+            codec: family,
             error: transcodeError.message,
             stack: transcodeError.stack,
           },
@@ -694,10 +1510,94 @@ async function transcodingWorker(job) {
         throw transcodeError;
       }
 
-      currentProgress += progressPerResolution;
+      currentProgress += progressPerVariant;
       job.progress(Math.round(currentProgress));
     }
 
+    // Progressive MP4 downloads: H.264 with the ladder's settings and the
+    // default audio track, uploaded and deleted one at a time
+    const downloads = [];
+    const downloadResolutions = options.downloads || [];
+    const defaultTrack =
+      audioTracks.find((t) => t.isDefault) || audioTracks[0] || null;
+    const downloadAudio = defaultTrack && {
+      ...defaultTrack,
+      loudnorm: getLoudnormFilter(loudness, defaultTrack.index),
+    };
+
+    for (const [i, resolution] of downloadResolutions.entries()) {
+      const existing = stateManager.getDownload(resolution);
+      if (existing) {
+        downloads.push(existing);
+        continue;
+      }
+
+      const variant = variants.find(
+        (v) =>
+          v.type === "video" &&
+          v.family === DEFAULT_CODEC_FAMILY &&
+          v.resolution === resolution,
+      );
+      if (!variant) {
+        await JobManager.addJobLog(
+          jobId,
+          LOG_LEVELS.WARN,
+          `Skipping ${resolution} download (not part of this ladder)`,
+          "downloads",
+          { validResolutions },
+        );
+        continue;
+      }
+
+      const fileName = `${outputVideoName}-${resolution}.mp4`;
+      const downloadPath = join(tempDir, fileName);
+      await encodeDownload(
+        downloadedFile,
+        downloadPath,
+        variant,
+        downloadAudio,
+        jobId,
+        (progress) => {
+          job.progress(
+            Math.round(
+              80 + ((i + progress / 100) * 2) / downloadResolutions.length,
+            ),
+          );
+        },
+      );
+
+      const downloadKey = `${outputVideoName}/downloads/${fileName}`;
+      const size = statSync(downloadPath).size;
+      await b2Service.uploadFile(
+        downloadPath,
+        downloadKey,
+        "video/mp4",
+        BUCKET_TYPES.HLS_OUTPUT,
+      );
+      stateManager.addUploadedFile(fileName, downloadKey);
+      rmSync(downloadPath, { force: true });
+
+      const download = {
+        resolution,
+        key: downloadKey,
+        size,
+        width: variant.config.width,
+        height: variant.config.height,
+        bitrate: variant.config.bitrate,
+        audioBitrate: downloadAudio ? variant.config.audioBitrate : null,
+      };
+      stateManager.setDownload(resolution, download);
+      downloads.push(download);
+
+      await JobManager.addJobLog(
+        jobId,
+        LOG_LEVELS.INFO,
+        `Uploaded ${resolution} download (${(size / 1024 / 1024).toFixed(2)}MB)`,
+        "downloads",
+        download,
+      );
+    }
+
     stateManager.updateStage(JOB_STAGES.TRANSCODED);
     await JobManager.addJobLog(
       jobId,
@@ -706,6 +1606,7 @@ async function transcodingWorker(job) {
       "transcoding",
       {
         completedResolutions: validResolutions,
+        codecs: codecFamilies,
       },
     );
 
@@ -728,6 +1629,7 @@ async function transcodingWorker(job) {
       {
         playlistPath: masterPlaylistPath,
         resolutions: validResolutions,
+        variants: variants.map((v) => v.id),
       },
     );
 
@@ -770,14 +1672,49 @@ async function transcodingWorker(job) {
       );
     }
 
+    // Optional DASH manifest for the same (fMP4) renditions
+    let dashManifestKey = null;
+    if (options.dash) {
+      await JobManager.addJobLog(
+        jobId,
+        LOG_LEVELS.INFO,
+        "Creating DASH manifest",
+        "playlist",
+      );
+
+      const dashManifestPath = join(tempDir, "index.mpd");
+      createDashManifest(transcodedFiles, dashManifestPath, videoInfo);
+
+      dashManifestKey = `${outputVideoName}/index.mpd`;
+      await b2Service.uploadFile(
+        dashManifestPath,
+        dashManifestKey,
+        "application/dash+xml",
+        BUCKET_TYPES.HLS_OUTPUT,
+      );
+      stateManager.addUploadedFile(basename(dashManifestPath), dashManifestKey);
+      rmSync(dashManifestPath, { force: true });
+
+      await JobManager.addJobLog(
+        jobId,
+        LOG_LEVELS.INFO,
+        "DASH manifest uploaded",
+        "upload",
+        {
+          dashManifestKey,
+          representations: transcodedFiles.map((f) => f.id),
+        },
+      );
+    }
+
     // Upload and delete thumbnails
     for (const thumbnailPath of stateManager.state.thumbnailPaths) {
       if (existsSync(thumbnailPath)) {
         const thumbnailName = basename(thumbnailPath);
         const thumbnailKey = `${outputVideoName}/${thumbnailName}`;
-        const contentType = thumbnailName.endsWith(".jpg")
-          ? "image/jpeg"
-          : "image/png";
+        const contentType =
+          THUMBNAIL_FORMATS[extname(thumbnailName).slice(1)]?.contentType ||
+          "image/png";
 
         await b2Service.uploadFile(
           thumbnailPath,
@@ -798,6 +1735,91 @@ async function transcodingWorker(job) {
       }
     }
 
+    // Posters grouped by position, with a srcset per format
+    const posters = buildPosterList(
+      stateManager.state.thumbnails || [],
+      outputVideoName,
+    );
+
+    // Upload the preview files next to the thumbnails
+    let previewOutput = null;
+    const { preview } = stateManager.state;
+    if (preview) {
+      const keys = {};
+      for (const [format, filePath] of Object.entries(preview.paths)) {
+        const fileName = basename(filePath);
+        const fileKey = `${outputVideoName}/${fileName}`;
+        if (existsSync(filePath)) {
+          await b2Service.uploadFile(
+            filePath,
+            fileKey,
+            PREVIEW_FORMATS[format].contentType,
+            BUCKET_TYPES.HLS_OUTPUT,
+          );
+          stateManager.addUploadedFile(fileName, fileKey);
+          rmSync(filePath, { force: true });
+        }
+        keys[format] = fileKey;
+      }
+
+      previewOutput = {
+        keys,
+        duration: preview.duration,
+        width: preview.width,
+        height: preview.height,
+        clips: preview.clips,
+      };
+      await JobManager.addJobLog(
+        jobId,
+        LOG_LEVELS.INFO,
+        `Uploaded preview (${Object.keys(keys).join(", ")})`,
+        "upload",
+        previewOutput,
+      );
+    }
+
+    // Upload the trickplay sprite sheets and their WebVTT track side by
+    // side, so the track can reference the sheets by file name
+    let trickplayOutput = null;
+    const { trickplay } = stateManager.state;
+    if (trickplay) {
+      const spriteKeys = [];
+      for (const filePath of [...trickplay.spritePaths, trickplay.vttPath]) {
+        const fileName = basename(filePath);
+        const fileKey = `${outputVideoName}/trickplay/${fileName}`;
+        if (existsSync(filePath)) {
+          await b2Service.uploadFile(
+            filePath,
+            fileKey,
+            fileName.endsWith(".vtt") ? "text/vtt" : "image/jpeg",
+            BUCKET_TYPES.HLS_OUTPUT,
+          );
+          stateManager.addUploadedFile(fileName, fileKey);
+          rmSync(filePath, { force: true });
+        }
+        if (filePath !== trickplay.vttPath) {
+          spriteKeys.push(fileKey);
+        }
+      }
+
+      trickplayOutput = {
+        vttKey: `${outputVideoName}/trickplay/${basename(trickplay.vttPath)}`,
+        spriteKeys,
+        interval: trickplay.interval,
+        width: trickplay.width,
+        height: trickplay.height,
+        columns: trickplay.columns,
+        rows: trickplay.rows,
+      };
+      await JobManager.addJobLog(
+        jobId,
+        LOG_LEVELS.INFO,
+        `Uploaded trickplay track and ${spriteKeys.length} sprite sheets`,
+        "upload",
+        trickplayOutput,
+      );
+    }
+
     await JobManager.addJobLog(
       jobId,
       LOG_LEVELS.INFO,
@@ -839,6 +1861,15 @@ async function transcodingWorker(job) {
         outputVideoName,
         environment,
         callbackUrl,
+        {
+          preset: stateManager.state.preset,
+          originalResolution: originalOrientation.codedResolution,
+          dashManifestKey,
+          posters,
+          preview: previewOutput,
+          trickplay: trickplayOutput,
+          downloads,
+        },
       );
       await JobManager.addJobLog(
         jobId,
@@ -891,18 +1922,109 @@ async function transcodingWorker(job) {
       jobId,
       originalKey,
       outputKey: masterPlaylistKey,
+      dashManifestKey,
       videoName: outputVideoName,
       resolutions: validResolutions,
       fileSize: totalSize,
       duration: videoInfo.duration,
       metadata: {
-        originalResolution: `${videoInfo.width}x${videoInfo.height}`,
+        originalResolution: originalOrientation.codedResolution,
+        originalOrientation,
         outputResolutions: validResolutions,
+        outputDimensions: Object.fromEntries(
+          validResolutions.map((r) => [
+            r,
+            `${outputLadder[r].width}x${outputLadder[r].height}`,
+          ]),
+        ),
+        trim: stateManager.state.trim || null,
+        bumpers,
+        loudness,
+        watermark: watermark
+          ? {
+              image: watermark.image,
+              position: watermark.position,
+              margin: watermark.margin,
+              opacity: watermark.opacity,
+              scale: watermark.scale,
+            }
+          : null,
+        scaleMode: options.scaleMode || "fit",
+        frameRates: Object.fromEntries(
+          validResolutions
+            .filter((r) => outputLadder[r].frameRate)
+            .map((r) => [r, outputLadder[r].frameRate]),
+        ),
+        gopFrames: Object.fromEntries(
+          validResolutions
+            .filter((r) => outputLadder[r].gopFrames)
+            .map((r) => [r, outputLadder[r].gopFrames]),
+        ),
+        sceneCut: Object.fromEntries(
+          validResolutions.map((r) => [r, outputLadder[r].sceneCut]),
+        ),
+        perTitle: perTitle
+          ? {
+              referenceKbps: perTitle.referenceKbps,
+              complexity: perTitle.complexity,
+              ladder: perTitle.ladder,
+              dropped: perTitle.dropped,
+              rungs: perTitle.rungs,
+            }
+          : null,
+        deinterlace: {
+          mode: deinterlace.mode || "auto",
+          applied: deinterlace.applied,
+          fieldOrder: deinterlace.fieldOrder || null,
+          parity: deinterlace.parity || null,
+          detection: deinterlace.detection || null,
+        },
+        dynamicRange: {
+          source: dynamicRange.source,
+          toneMapped: dynamicRange.toneMap,
+          hdrLadder: dynamicRange.hdrLadder,
+        },
+        codecs: codecFamilies,
+        segmentFormat: options.segmentFormat || "mpegts",
+        singlePass: Boolean(options.singlePass),
+        audioRenditions: variants
+          .filter((v) => v.type === "audio")
+          .map((v) => v.id),
+        audioTracks: audioTracks.map(({ language, name, isDefault }) => ({
+          language,
+          name,
+          default: isDefault,
+        })),
+        subtitleTracks: variants
+          .filter((v) => v.type === "subtitle")
+          .map(
+            ({ language, name, isDefault, isForced, source, sourceKey }) => ({
+              language,
+              name,
+              default: isDefault,
+              forced: isForced,
+              source,
+              key: sourceKey,
+            }),
+          ),
+        qualityMetrics: qualityWindow
+          ? {
+              window: qualityWindow,
+              vmaf: vmafAvailable,
+              renditions: stateManager.state.qualityMetrics || {},
+            }
+          : null,
+        dashManifestKey,
+        preset: stateManager.state.preset,
         segmentCount: stateManager.state.uploadedFiles.filter((f) =>
-          f.fileKey.endsWith(".ts"),
+          [".ts", ".m4s"].includes(extname(f.fileKey)),
         ).length,
         totalFiles: stateManager.state.uploadedFiles.length,
         thumbnailCount: stateManager.state.thumbnailPaths.length,
+        posters,
+        preview: previewOutput,
+        trickplay: trickplayOutput,
+        downloads,
       },
     };
   } catch (error) {
@@ -1048,174 +2170,2699 @@ function getDirectorySize(dir) {
   return size;
 }
 
-async function generateThumbnails(inputPath, outputDir, videoName) {
-  const thumbnailPaths = [];
+// Writes every requested poster position in every size and format.
+// Positions are seconds, percentages of the duration ("25%") or "best".
+async function generateThumbnails(
+  inputPath,
+  outputDir,
+  videoName,
+  videoInfo,
+  settings,
+  source,
+) {
+  const { positions, sizes, formats } = { ...THUMBNAIL_DEFAULTS, ...settings };
+  // Positions are relative to the main content, which follows any intro
+  const contentStart = source.content?.start || 0;
+  const duration = source.content?.duration ?? (videoInfo.duration || 0);
+
+  const { usableFormats, skippedFormats } = await getUsableFormats(
+    formats,
+    THUMBNAIL_FORMATS,
+  );
 
-  // Generate JPG thumbnail at 1 second
-  const jpgPath = join(outputDir, `${videoName}-00001.jpg`);
-  if (!existsSync(jpgPath)) {
-    await new Promise((resolve, reject) => {
-      ffmpeg(inputPath)
-        .screenshots({
-          timestamps: ["1"],
-          filename: `${videoName}-00001.jpg`,
-          folder: outputDir,
-          size: "320x240",
-        })
-        .on("end", resolve)
-        .on("error", reject);
-    });
+  let bestFrame = null;
+  if (positions.includes("best")) {
+    bestFrame = await findBestFrame(inputPath, duration, contentStart).catch(
+      (error) => ({
+        time: Math.round(duration * BEST_FRAME_RANGE[0] * 100) / 100,
+        fallback: true,
+        reason: error.message,
+      }),
+    );
   }
 
-  if (existsSync(jpgPath)) {
-    thumbnailPaths.push(jpgPath);
+  const display = getDisplaySize(videoInfo);
+  const deinterlaceFilter = getSourceDeinterlaceFilter(source);
+
+  const thumbnails = [];
+  for (const [index, position] of positions.entries()) {
+    const time =
+      Math.round(
+        (contentStart + resolvePosterTime(position, duration, bestFrame)) * 100,
+      ) / 100;
+    const number = String(index + 1).padStart(5, "0");
+
+    for (const [sizeIndex, width] of sizes.entries()) {
+      const height = toEven((width * display.height) / display.width);
+      const filter = [
+        deinterlaceFilter,
+        `scale=${width}:${height}`,
+        ...(source.dynamicRange?.toneMap ? TONE_MAP_FILTERS : []),
+        "setsar=1",
+      ]
+        .filter(Boolean)
+        .join(",");
+
+      for (const format of usableFormats) {
+        // The first size keeps the original name; others add the width
+        const fileName =
+          sizeIndex === 0
+            ? `${videoName}-${number}.${format}`
+            : `${videoName}-${number}-${width}w.${format}`;
+        const outputPath = join(outputDir, fileName);
+
+        if (!existsSync(outputPath)) {
+          await extractFrame(inputPath, outputPath, time, filter, format);
+        }
+        if (existsSync(outputPath)) {
+          thumbnails.push({
+            path: outputPath,
+            index,
+            position,
+            time,
+            width,
+            height,
+            format,
+          });
+        }
+      }
+    }
   }
 
-  // Generate PNG thumbnail at 1 second
-  const pngPath = join(outputDir, `${videoName}-00001.png`);
-  if (!existsSync(pngPath)) {
-    await new Promise((resolve, reject) => {
-      ffmpeg(inputPath)
-        .screenshots({
-          timestamps: ["1"],
-          filename: `${videoName}-00001.png`,
-          folder: outputDir,
-          size: "320x240",
-        })
-        .on("end", resolve)
-        .on("error", reject);
-    });
-  }
+  return { thumbnails, bestFrame, skippedFormats };
+}
 
-  if (existsSync(pngPath)) {
-    thumbnailPaths.push(pngPath);
+function resolvePosterTime(position, duration, bestFrame) {
+  let time = position;
+  if (position === "best") {
+    time = bestFrame.time;
+  } else if (typeof position === "string" && position.endsWith("%")) {
+    time = (parseFloat(position) / 100) * duration;
   }
-
-  return thumbnailPaths;
+  // Seeking to the very end yields no frame
+  const latest = Math.max(0, duration - 0.1);
+  return Math.round(Math.min(Math.max(0, time), latest) * 100) / 100;
 }
 
-async function getVideoInfo(filePath) {
+function extractFrame(inputPath, outputPath, time, filter, format) {
   return new Promise((resolve, reject) => {
-    ffprobe(filePath, (err, metadata) => {
-      if (err) {
+    ffmpeg(inputPath)
+      .inputOptions([...getFormatSpecificOptions(inputPath), `-ss ${time}`])
+      .outputOptions([
+        "-frames:v 1",
+        `-vf ${filter}`,
+        "-an",
+        "-sn",
+        ...THUMBNAIL_FORMATS[format].options,
+      ])
+      .output(outputPath)
+      .on("end", resolve)
+      .on("error", (err) => {
         reject(
           new TranscodingError(
-            `Failed to probe video: ${err.message}`,
-            "probe",
+            `Thumbnail at ${time}s failed: ${err.message}`,
+            "thumbnails",
             err,
           ),
         );
-        return;
-      }
-
-      const videoStream = metadata.streams.find(
-        (stream) => stream.codec_type === "video",
-      );
-      if (!videoStream) {
-        reject(new TranscodingError("No video stream found", "probe"));
-        return;
-      }
-
-      resolve({
-        duration: parseFloat(metadata.format.duration) || 0,
-        width: videoStream.width || 0,
-        height: videoStream.height || 0,
-        bitrate: parseInt(metadata.format.bit_rate) || 0,
-        size: parseInt(metadata.format.size) || 0,
-        codec: videoStream.codec_name || "unknown",
-      });
-    });
+      })
+      .run();
   });
 }
 
-function filterValidResolutions(requestedResolutions, videoInfo) {
-  return requestedResolutions.filter((resolution) => {
-    const config = RESOLUTION_CONFIGS[resolution];
-    if (!config) {
-      return false;
-    }
-
-    // Don't upscale - only include resolutions smaller than or equal to source
-    if (config.height > videoInfo.height) {
-      return false;
+// Scores frames sampled across the video with blackframe (share of
+// near-black pixels) and the select filter's scene score, and returns the
+// frame nearest a third of the way in that is neither mostly black nor at
+// a scene change. Only the duration seconds from offset are scored, and
+// times are relative to offset.
+async function findBestFrame(inputPath, duration, offset = 0) {
+  const start = Math.round(duration * BEST_FRAME_RANGE[0] * 100) / 100;
+  const length =
+    Math.round(duration * (BEST_FRAME_RANGE[1] - BEST_FRAME_RANGE[0]) * 100) /
+    100;
+  const frames = new Map();
+  let currentTime = null;
+
+  const frameAt = (time) => {
+    const key = time.toFixed(3);
+    if (!frames.has(key)) {
+      frames.set(key, { time: start + time, pblack: 0, scene: 0 });
     }
+    return frames.get(key);
+  };
 
-    return true;
+  // Frame lines are parsed as they arrive rather than from the buffered
+  // stderr, which only keeps the last lines
+  await new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .inputOptions([
+        ...getFormatSpecificOptions(inputPath),
+        `-ss ${Math.round((offset + start) * 100) / 100}`,
+        `-t ${length}`,
+      ])
+      .outputOptions([
+        `-vf fps=${BEST_FRAME_SAMPLE_RATE},scale=160:-2,blackframe=amount=0:threshold=32,select='gte(scene,0)',metadata=mode=print:key=lavfi.scene_score`,
+        "-an",
+        "-sn",
+      ])
+      .format("null")
+      .output("-")
+      .on("stderr", (line) => {
+        const black = line.match(/pblack:(\d+).*\bt:([\d.]+)/);
+        if (black) {
+          frameAt(parseFloat(black[2])).pblack = parseInt(black[1]);
+          return;
+        }
+        const frame = line.match(/pts_time:([\d.]+)/);
+        if (frame) {
+          currentTime = parseFloat(frame[1]);
+          return;
+        }
+        const scene = line.match(/lavfi\.scene_score=([\d.]+)/);
+        if (scene && currentTime !== null) {
+          frameAt(currentTime).scene = parseFloat(scene[1]);
+        }
+      })
+      .on("end", resolve)
+      .on("error", (err) => {
+        reject(
+          new TranscodingError(
+            `Best frame analysis failed: ${err.message}`,
+            "thumbnails",
+            err,
+          ),
+        );
+      })
+      .run();
   });
+
+  return pickBestFrame(
+    [...frames.values()].sort((a, b) => a.time - b.time),
+    duration,
+  );
 }
 
-async function transcodeToHLS(
-  inputPath,
-  outputPath,
-  resolution,
-  jobId,
-  progressCallback,
-) {
-  const config = RESOLUTION_CONFIGS[resolution];
-  const outputDir = dirname(outputPath);
+function pickBestFrame(frames, duration) {
+  if (frames.length === 0) {
+    throw new Error("No frames analysed");
+  }
 
-  // Get format-specific input options
-  const inputOptions = getFormatSpecificOptions(inputPath);
+  // A frame is steady when neither it nor the next sample is a scene change
+  const scored = frames.map((frame, i) => ({
+    ...frame,
+    motion: Math.max(frame.scene, frames[i + 1]?.scene ?? 0),
+  }));
+  const candidates = scored.filter(
+    (frame) =>
+      frame.pblack <= BEST_FRAME_MAX_BLACK &&
+      frame.motion <= BEST_FRAME_MAX_SCENE,
+  );
+  const round = (value) => Math.round(value * 100) / 100;
 
-  return new Promise((resolve, reject) => {
-    let command = ffmpeg(inputPath);
+  if (candidates.length === 0) {
+    const leastBlack = [...scored].sort((a, b) => a.pblack - b.pblack)[0];
+    return {
+      time: round(leastBlack.time),
+      fallback: true,
+      reason: "Every sampled frame is mostly black or mid scene change",
+      analysedFrames: frames.length,
+    };
+  }
 
-    // Apply format-specific input options if any
-    if (inputOptions.length > 0) {
-      command = command.inputOptions(inputOptions);
+  // Motion only filters; preferring the lowest would favour frozen slates
+  // and title cards over the content
+  const target = duration / 3;
+  const [best] = candidates.sort(
+    (a, b) => Math.abs(a.time - target) - Math.abs(b.time - target),
+  );
+  return {
+    time: round(best.time),
+    fallback: false,
+    pblack: best.pblack,
+    sceneScore: round(best.motion),
+    analysedFrames: frames.length,
+    candidates: candidates.length,
+  };
+}
+
+// Groups the uploaded thumbnails by poster position, with a srcset string
+// per format listing every size
+function buildPosterList(thumbnails, outputVideoName) {
+  const posters = [];
+  for (const thumbnail of thumbnails) {
+    let poster = posters.find((p) => p.index === thumbnail.index);
+    if (!poster) {
+      poster = {
+        index: thumbnail.index,
+        position: thumbnail.position,
+        time: thumbnail.time,
+        images: [],
+        srcset: {},
+      };
+      posters.push(poster);
     }
 
-    command
-      .addOptions([
-        "-c:v libx264", // Video codec
-        "-c:a aac", // Audio codec
-        "-preset fast", // Encoding speed preset
-        `-profile:v ${config.profile}`, // H.264 profile
-        `-level ${config.level}`, // H.264 level
-        "-crf 23", // Quality (lower = better quality)
-        `-maxrate ${config.bitrate}`,
-        `-bufsize ${parseInt(config.bitrate) * 2}k`,
-        `-b:a ${config.audioBitrate}`,
-        `-vf scale=${config.width}:${config.height}`, // Scale video
-        "-hls_time 10", // 10 second segments (AWS ETS default)
-        "-hls_playlist_type vod", // Video on demand
-        "-hls_segment_filename",
-        join(outputDir, "index-%05d.ts"), // Match AWS ETS naming: index-00000.ts, index-00001.ts, etc.
-        "-start_number 0",
-        "-hls_base_url",
-        "", // Relative URLs in playlist
-        "-f hls", // HLS format
-      ])
-      .output(outputPath);
+    const key = `${outputVideoName}/${basename(thumbnail.path)}`;
+    poster.images.push({
+      key,
+      format: thumbnail.format,
+      width: thumbnail.width,
+      height: thumbnail.height,
+    });
+    poster.srcset[thumbnail.format] = [
+      poster.srcset[thumbnail.format],
+      `${key} ${thumbnail.width}w`,
+    ]
+      .filter(Boolean)
+      .join(", ");
+  }
+  return posters.map(({ index, ...poster }) => poster);
+}
 
-    command.on("start", async (commandLine) => {
-      await JobManager.addJobLog(
-        jobId,
-        LOG_LEVELS.DEBUG,
-        `FFmpeg command started for ${resolution}`,
-        "transcoding",
+// Joins short clips from across the video into a silent teaser. The MP4
+// is encoded once from the source, and the animated formats are converted
+// from it so every format shows the same frames.
+async function generatePreview(
+  inputPath,
+  outputDir,
+  videoName,
+  videoInfo,
+  settings,
+  source,
+) {
+  const { clips, clipDuration, width, formats } = {
+    ...PREVIEW_DEFAULTS,
+    ...settings,
+  };
+  const display = getDisplaySize(videoInfo);
+  const height = toEven((width * display.height) / display.width);
+  // Clips come from the main content, between any intro and outro
+  const contentStart = source.content?.start || 0;
+  const clipStarts = getPreviewClips(
+    source.content?.duration ?? (videoInfo.duration || 0),
+    clips,
+    clipDuration,
+  ).map((clip) => ({
+    ...clip,
+    start: Math.round((contentStart + clip.start) * 100) / 100,
+  }));
+
+  const { usableFormats, skippedFormats } = await getUsableFormats(
+    formats,
+    PREVIEW_FORMATS,
+  );
+
+  const clipFilter = [
+    getSourceDeinterlaceFilter(source),
+    `fps=${PREVIEW_FRAME_RATE}`,
+    `scale=${width}:${height}`,
+    ...(source.dynamicRange?.toneMap ? TONE_MAP_FILTERS : []),
+    "format=yuv420p",
+    "setsar=1",
+    "setpts=PTS-STARTPTS",
+  ]
+    .filter(Boolean)
+    .join(",");
+  const filterGraph = [
+    ...clipStarts.map((clip, i) => `[${i}:v]${clipFilter}[c${i}]`),
+    `${clipStarts.map((_, i) => `[c${i}]`).join("")}concat=n=${clipStarts.length}:v=1:a=0[preview]`,
+  ].join(";");
+
+  const mp4Path = join(outputDir, `${videoName}-preview.mp4`);
+  await new Promise((resolve, reject) => {
+    const command = ffmpeg();
+    clipStarts.forEach((clip) => {
+      command
+        .input(inputPath)
+        .inputOptions([
+          ...getFormatSpecificOptions(inputPath),
+          `-ss ${clip.start}`,
+          `-t ${clip.duration}`,
+        ]);
+    });
+    command
+      .outputOptions([
+        "-filter_complex",
+        filterGraph,
+        "-map [preview]",
+        "-an",
+        "-c:v libx264",
+        "-preset veryfast",
+        "-crf 28",
+        "-profile:v main",
+        "-movflags +faststart",
+      ])
+      .output(mp4Path)
+      .on("end", resolve)
+      .on("error", (err) => {
+        reject(
+          new TranscodingError(
+            `Preview encode failed: ${err.message}`,
+            "thumbnails",
+            err,
+          ),
+        );
+      })
+      .run();
+  });
+
+  const paths = {};
+  for (const format of usableFormats.filter((f) => f !== "mp4")) {
+    const outputPath = join(outputDir, `${videoName}-preview.${format}`);
+    await new Promise((resolve, reject) => {
+      ffmpeg(mp4Path)
+        .outputOptions(["-an", ...PREVIEW_FORMATS[format].options])
+        .output(outputPath)
+        .on("end", resolve)
+        .on("error", (err) => {
+          reject(
+            new TranscodingError(
+              `Preview ${format} conversion failed: ${err.message}`,
+              "thumbnails",
+              err,
+            ),
+          );
+        })
+        .run();
+    });
+    paths[format] = outputPath;
+  }
+
+  if (usableFormats.includes("mp4")) {
+    paths.mp4 = mp4Path;
+  } else {
+    rmSync(mp4Path, { force: true });
+  }
+
+  return {
+    paths,
+    skippedFormats,
+    clips: clipStarts,
+    duration:
+      Math.round(clipStarts.reduce((total, c) => total + c.duration, 0) * 100) /
+      100,
+    width,
+    height,
+  };
+}
+
+// Clip start times spread between 10% and 90% of the video. Videos too
+// short for separate clips get a single clip from the start.
+function getPreviewClips(duration, clips, clipDuration) {
+  const round = (value) => Math.round(value * 100) / 100;
+
+  if (duration < clips * clipDuration * 2) {
+    return [
+      { start: 0, duration: round(Math.min(duration, clips * clipDuration)) },
+    ];
+  }
+
+  // The first clip starts at 10% and the last one ends at 90%
+  const first = duration * 0.1;
+  const last = duration * 0.9 - clipDuration;
+  return Array.from({ length: clips }, (_, i) => ({
+    start: round(
+      clips === 1 ? first : first + ((last - first) * i) / (clips - 1),
+    ),
+    duration: clipDuration,
+  }));
+}
+
+// Samples a frame every interval seconds and tiles the frames into JPEG
+// sprite sheets, with a WebVTT track mapping each interval to its tile
+async function generateTrickplay(
+  inputPath,
+  outputDir,
+  videoInfo,
+  settings,
+  source,
+) {
+  const interval = settings.interval || TRICKPLAY_INTERVAL;
+  const width = settings.width || TRICKPLAY_WIDTH;
+  const display = getDisplaySize(videoInfo);
+  const height = toEven((width * display.height) / display.width);
+
+  const trickplayDir = join(outputDir, "trickplay");
+  rmSync(trickplayDir, { recursive: true, force: true });
+  mkdirSync(trickplayDir, { recursive: true });
+
+  // Thumbnails get the same deinterlacing and tone mapping as the ladder
+  const filters = [
+    getSourceDeinterlaceFilter(source),
+    `fps=1/${interval}`,
+    `scale=${width}:${height}`,
+    ...(source.dynamicRange?.toneMap ? TONE_MAP_FILTERS : []),
+    "setsar=1",
+    `tile=${TRICKPLAY_COLUMNS}x${TRICKPLAY_ROWS}`,
+  ].filter(Boolean);
+
+  await new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .inputOptions(getFormatSpecificOptions(inputPath))
+      .outputOptions([`-vf ${filters.join(",")}`, "-an", "-sn", "-q:v 5"])
+      .output(join(trickplayDir, "sprite-%03d.jpg"))
+      .on("end", resolve)
+      .on("error", (err) => {
+        reject(
+          new TranscodingError(
+            `Trickplay sprite generation failed: ${err.message}`,
+            "thumbnails",
+            err,
+          ),
+        );
+      })
+      .run();
+  });
+
+  const spriteNames = readdirSync(trickplayDir)
+    .filter((file) => /^sprite-\d+\.jpg$/.test(file))
+    .sort();
+  if (spriteNames.length === 0) {
+    throw new TranscodingError(
+      "No trickplay sprite sheets written",
+      "thumbnails",
+    );
+  }
+
+  // The last sheet may be partly filled; never point past it
+  const frameCount = Math.min(
+    Math.max(1, Math.ceil((videoInfo.duration || 0) / interval)),
+    spriteNames.length * TRICKPLAY_COLUMNS * TRICKPLAY_ROWS,
+  );
+  const vttPath = join(trickplayDir, "thumbnails.vtt");
+  writeFileSync(
+    vttPath,
+    buildTrickplayVTT(spriteNames, frameCount, interval, videoInfo.duration, {
+      width,
+      height,
+    }),
+  );
+
+  return {
+    interval,
+    width,
+    height,
+    columns: TRICKPLAY_COLUMNS,
+    rows: TRICKPLAY_ROWS,
+    frameCount,
+    spritePaths: spriteNames.map((name) => join(trickplayDir, name)),
+    vttPath,
+  };
+}
+
+function buildTrickplayVTT(spriteNames, frameCount, interval, duration, tile) {
+  const perSheet = TRICKPLAY_COLUMNS * TRICKPLAY_ROWS;
+  const cues = [];
+
+  for (let i = 0; i < frameCount; i++) {
+    const start = i * interval;
+    const end =
+      i === frameCount - 1 && duration > start ? duration : (i + 1) * interval;
+    const position = i % perSheet;
+    const x = (position % TRICKPLAY_COLUMNS) * tile.width;
+    const y = Math.floor(position / TRICKPLAY_COLUMNS) * tile.height;
+
+    cues.push(
+      [
+        `${formatVTTTimestamp(start)} --> ${formatVTTTimestamp(end)}`,
+        `${spriteNames[Math.floor(i / perSheet)]}#xywh=${x},${y},${tile.width},${tile.height}`,
+      ].join("\n"),
+    );
+  }
+
+  return ["WEBVTT", ...cues].join("\n\n") + "\n";
+}
+
+async function getVideoInfo(filePath) {
+  return new Promise((resolve, reject) => {
+    ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        reject(
+          new TranscodingError(
+            `Failed to probe video: ${err.message}`,
+            "probe",
+            err,
+          ),
+        );
+        return;
+      }
+
+      const videoStream = metadata.streams.find(
+        (stream) => stream.codec_type === "video",
+      );
+      if (!videoStream) {
+        reject(new TranscodingError("No video stream found", "probe"));
+        return;
+      }
+
+      const audioStreams = metadata.streams.filter(
+        (stream) => stream.codec_type === "audio",
+      );
+      const subtitleStreams = metadata.streams.filter(
+        (stream) => stream.codec_type === "subtitle",
+      );
+
+      // Phones record portrait video as landscape frames plus a rotation.
+      // FFmpeg's autorotate (on by default) turns the frames upright before
+      // our filters and drops the rotation from the outputs, so everything
+      // downstream works with the rotated size.
+      const rotation = getRotation(videoStream);
+      const quarterTurn = rotation === 90 || rotation === 270;
+      const codedWidth = videoStream.width || 0;
+      const codedHeight = videoStream.height || 0;
+      const sampleAspectRatio = parseAspectRatio(
+        videoStream.sample_aspect_ratio,
+      );
+
+      resolve({
+        duration: parseFloat(metadata.format.duration) || 0,
+        width: quarterTurn ? codedHeight : codedWidth,
+        height: quarterTurn ? codedWidth : codedHeight,
+        codedWidth,
+        codedHeight,
+        rotation,
+        pixelFormat: videoStream.pix_fmt || null,
+        fieldOrder: videoStream.field_order || null,
+        frameRate:
+          parseFrameRate(videoStream.avg_frame_rate) ||
+          parseFrameRate(videoStream.r_frame_rate),
+        // The same rate as a rational, such as "30000/1001"
+        frameRateFraction:
+          [videoStream.avg_frame_rate, videoStream.r_frame_rate].find(
+            parseFrameRate,
+          ) || null,
+        colorPrimaries: videoStream.color_primaries || null,
+        colorTransfer: videoStream.color_transfer || null,
+        colorSpace: videoStream.color_space || null,
+        bitrate: parseInt(metadata.format.bit_rate) || 0,
+        size: parseInt(metadata.format.size) || 0,
+        codec: videoStream.codec_name || "unknown",
+        sampleAspectRatio: quarterTurn
+          ? 1 / sampleAspectRatio
+          : sampleAspectRatio,
+        hasAudio: audioStreams.length > 0,
+        subtitleTracks: subtitleStreams.map((stream, index) => ({
+          index, // Position among subtitle streams, as used by -map 0:s:N
+          language: normalizeLanguage(stream.tags?.language),
+          title: stream.tags?.title || null,
+          codec: stream.codec_name || "unknown",
+          isDefault: stream.disposition?.default === 1,
+          isForced: stream.disposition?.forced === 1,
+        })),
+        audioTracks: audioStreams.map((stream, index) => ({
+          index, // Position among audio streams, as used by -map 0:a:N
+          language: normalizeLanguage(stream.tags?.language),
+          title: stream.tags?.title || null,
+          channels: stream.channels || 0,
+          channelLayout: stream.channel_layout || null,
+          codec: stream.codec_name || "unknown",
+          isDefault: stream.disposition?.default === 1,
+        })),
+      });
+    });
+  });
+}
+
+// "30000/1001" -> 29.97; null for "0/0" or missing values
+function parseFrameRate(value) {
+  const [num, den] = (value || "").split("/").map(Number);
+  const rate = den ? num / den : num;
+  return rate > 0 && Number.isFinite(rate) ? rate : null;
+}
+
+// Clockwise rotation needed to display the stream upright: 0, 90, 180 or
+// 270. Older muxers write a rotate tag, newer ones a display matrix whose
+// rotation is counter-clockwise.
+function getRotation(stream) {
+  const displayMatrix = (stream.side_data_list || []).find(
+    (data) => data.side_data_type === "Display Matrix",
+  );
+  const degrees =
+    stream.tags?.rotate !== undefined
+      ? parseFloat(stream.tags.rotate)
+      : -parseFloat(displayMatrix?.rotation || 0);
+
+  const rotation = (((Math.round(degrees / 90) * 90) % 360) + 360) % 360;
+  return Number.isNaN(rotation) ? 0 : rotation;
+}
+
+function getOrientation(width, height) {
+  if (width === height) {
+    return "square";
+  }
+  return width > height ? "landscape" : "portrait";
+}
+
+// The frame as stored in the file, before its rotation is applied, plus
+// the upright size it is displayed at
+function getOriginalOrientation(videoInfo) {
+  const codedWidth = videoInfo.codedWidth ?? videoInfo.width;
+  const codedHeight = videoInfo.codedHeight ?? videoInfo.height;
+  return {
+    orientation: getOrientation(codedWidth, codedHeight),
+    rotation: videoInfo.rotation || 0,
+    codedResolution: `${codedWidth}x${codedHeight}`,
+    displayResolution: `${videoInfo.width}x${videoInfo.height}`,
+  };
+}
+
+// "64:45" -> 1.4222; missing or "0:1" (unknown) means square pixels
+function parseAspectRatio(value) {
+  const [num, den] = (value || "").split(":").map(Number);
+  return num > 0 && den > 0 ? num / den : 1;
+}
+
+// ffprobe reports ISO 639-2 tags ("eng", "fre"); HLS and DASH expect
+// BCP 47 ("en", "fr")
+function normalizeLanguage(tag) {
+  if (!tag) {
+    return "und";
+  }
+  try {
+    return Intl.getCanonicalLocales(tag.trim())[0];
+  } catch {
+    return "und";
+  }
+}
+
+function getLanguageName(language) {
+  if (language === "und") {
+    return null;
+  }
+  try {
+    return (
+      new Intl.DisplayNames(["en"], { type: "language" }).of(language) || null
+    );
+  } catch {
+    return null;
+  }
+}
+
+// Audio tracks to encode: the first stream of each language, optionally
+// narrowed to the languages the job asked for, with exactly one default
+function selectAudioTracks(videoInfo, options) {
+  // Sources analyzed before audioTracks existed have at most the first track
+  const sourceTracks =
+    videoInfo.audioTracks ||
+    (videoInfo.hasAudio === false
+      ? []
+      : [{ index: 0, language: "und", title: null, isDefault: true }]);
+
+  const byLanguage = new Map();
+  sourceTracks.forEach((track) => {
+    if (!byLanguage.has(track.language)) {
+      byLanguage.set(track.language, track);
+    }
+  });
+
+  const requested = (options.audioLanguages || []).map(normalizeLanguage);
+  const missingLanguages = requested.filter((l) => !byLanguage.has(l));
+  let tracks = requested.length
+    ? requested.filter((l) => byLanguage.has(l)).map((l) => byLanguage.get(l))
+    : [...byLanguage.values()];
+
+  // Keep the source's main track rather than producing a silent output
+  if (tracks.length === 0 && sourceTracks.length > 0) {
+    tracks = [sourceTracks.find((t) => t.isDefault) || sourceTracks[0]];
+  }
+
+  const defaultLanguage = options.defaultAudioLanguage
+    ? normalizeLanguage(options.defaultAudioLanguage)
+    : null;
+  const defaultTrack =
+    tracks.find((t) => t.language === defaultLanguage) ||
+    tracks.find((t) => t.isDefault) ||
+    tracks[0];
+
+  return {
+    tracks: tracks.map((track) => ({
+      index: track.index,
+      language: track.language,
+      name:
+        track.title ||
+        getLanguageName(track.language) ||
+        `Audio ${track.index + 1}`,
+      isDefault: track === defaultTrack,
+    })),
+    missingLanguages,
+  };
+}
+
+// Text subtitle tracks to convert; bitmap tracks are reported as skipped
+function selectSubtitleTracks(videoInfo) {
+  const sourceTracks = videoInfo.subtitleTracks || [];
+  const tracks = sourceTracks.filter((t) =>
+    TEXT_SUBTITLE_CODECS.includes(t.codec),
+  );
+  const skipped = sourceTracks.filter((t) => !tracks.includes(t));
+
+  return {
+    tracks: tracks.map((track) => {
+      let name =
+        track.title ||
+        getLanguageName(track.language) ||
+        `Subtitles ${track.index + 1}`;
+      if (track.isForced && !track.title) {
+        name = `${name} (Forced)`;
+      }
+
+      return {
+        index: track.index,
+        language: track.language,
+        name,
+        isDefault: track.isDefault,
+        isForced: track.isForced,
+      };
+    }),
+    skipped,
+  };
+}
+
+// Downloads sidecar caption files from the OV bucket and normalises them to
+// WebVTT next to the source
+async function prepareCaptions(captions, tempDir, b2Service, jobId) {
+  const captionsDir = join(tempDir, "captions");
+  if (!existsSync(captionsDir)) {
+    mkdirSync(captionsDir, { recursive: true });
+  }
+
+  const captionFiles = [];
+  for (const [index, caption] of captions.entries()) {
+    const sourcePath = join(
+      captionsDir,
+      `${index}${extname(caption.key).toLowerCase()}`,
+    );
+    const vttPath = join(captionsDir, `${index}.vtt.normalized`);
+
+    try {
+      await b2Service.downloadFile(
+        caption.key,
+        sourcePath,
+        BUCKET_TYPES.ORIGINAL_VIDEO,
+      );
+    } catch (downloadError) {
+      throw new TranscodingError(
+        `Caption download failed for ${caption.key}: ${downloadError.message}`,
+        "download",
+        downloadError,
+      );
+    }
+
+    let content;
+    try {
+      content = normalizeCaptionFile(
+        readFileSync(sourcePath, "utf8"),
+        extname(caption.key).toLowerCase(),
+      );
+    } catch (parseError) {
+      throw new TranscodingError(
+        `Invalid caption file ${caption.key}: ${parseError.message}`,
+        "validation",
+        parseError,
+      );
+    }
+    writeFileSync(vttPath, content);
+    rmSync(sourcePath, { force: true });
+
+    await JobManager.addJobLog(
+      jobId,
+      LOG_LEVELS.INFO,
+      `Prepared caption ${caption.key} (${caption.language})`,
+      "download",
+      { label: caption.label },
+    );
+
+    captionFiles.push({
+      index,
+      key: caption.key,
+      language: normalizeLanguage(caption.language),
+      name: caption.label,
+      isDefault: Boolean(caption.default),
+      isForced: Boolean(caption.forced),
+      path: vttPath,
+    });
+  }
+
+  return captionFiles;
+}
+
+// Converts SRT to WebVTT (WebVTT passes through) and rejects files without
+// a single valid cue
+function normalizeCaptionFile(content, extension) {
+  const text = content.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+  const timing =
+    /^(\d{1,2}:)?\d{2}:\d{2}[.,]\d{3}\s+-->\s+(\d{1,2}:)?\d{2}:\d{2}[.,]\d{3}/;
+
+  let blocks = text.trim().split(/\n{2,}/);
+  if (extension === ".vtt") {
+    if (!/^WEBVTT(\s|$)/.test(blocks[0] || "")) {
+      throw new Error("missing WEBVTT header");
+    }
+    blocks = blocks.slice(1);
+  }
+
+  const cues = blocks
+    .map((block) => block.split("\n"))
+    .map((lines) => {
+      const timingIndex = lines.findIndex((line) => timing.test(line));
+      if (timingIndex === -1) {
+        return null;
+      }
+      // SRT uses a comma as the decimal separator
+      const timingLine =
+        extension === ".srt"
+          ? lines[timingIndex].replace(/(\d),(\d{3})/g, "$1.$2")
+          : lines[timingIndex];
+      return [timingLine, ...lines.slice(timingIndex + 1)].join("\n");
+    })
+    .filter(Boolean);
+
+  if (cues.length === 0) {
+    throw new Error("no cues found");
+  }
+
+  return ["WEBVTT", ...cues].join("\n\n") + "\n";
+}
+
+// Clamps the requested ranges to the source; an open end runs to the end
+// of the video. Ranges starting past the end are dropped.
+function resolveTrimRanges(ranges, duration) {
+  const round = (value) => Math.round(value * 1000) / 1000;
+  return ranges
+    .map(({ start, end }) => ({
+      start: round(start),
+      end: round(
+        end === null || end === undefined ? duration : Math.min(end, duration),
+      ),
+    }))
+    .filter((range) => range.start < range.end);
+}
+
+// Re-encodes each range from an accurate seek into a near-lossless
+// Matroska intermediate (H.264 CRF 12, FLAC audio, text subtitles as SRT),
+// then joins multiple ranges with the concat demuxer
+async function trimSource(inputPath, tempDir, ranges, sourceInfo, jobId) {
+  const subtitleMaps = (sourceInfo.subtitleTracks || [])
+    .filter((track) => TEXT_SUBTITLE_CODECS.includes(track.codec))
+    .flatMap((track) => ["-map", `0:s:${track.index}`]);
+
+  const partPaths = [];
+  for (const [i, range] of ranges.entries()) {
+    const partPath = join(tempDir, `trim-${i}.mkv`);
+    await new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .inputOptions([
+          ...getFormatSpecificOptions(inputPath),
+          `-ss ${range.start}`,
+        ])
+        .outputOptions([
+          `-t ${Math.round((range.end - range.start) * 1000) / 1000}`,
+          "-map",
+          "0:v:0",
+          "-map",
+          "0:a?",
+          ...subtitleMaps,
+          ...getIntermediateOptions(sourceInfo),
+        ])
+        .output(partPath)
+        .on("start", async (commandLine) => {
+          await JobManager.addJobLog(
+            jobId,
+            LOG_LEVELS.DEBUG,
+            `FFmpeg command started for trim range ${i + 1}`,
+            "trim",
+            { range, command: commandLine },
+          );
+        })
+        .on("end", resolve)
+        .on("error", (err) => {
+          reject(
+            new TranscodingError(
+              `Trimming ${range.start}s-${range.end}s failed: ${err.message}`,
+              "trim",
+              err,
+            ),
+          );
+        })
+        .run();
+    });
+    partPaths.push(partPath);
+  }
+
+  if (partPaths.length === 1) {
+    return partPaths[0];
+  }
+
+  // Every part has the same streams and encoder settings, so they can be
+  // joined without another encode
+  const listPath = join(tempDir, "trim-parts.txt");
+  writeFileSync(
+    listPath,
+    partPaths.map((path) => `file '${path.replace(/'/g, "'\\''")}'`).join("\n"),
+  );
+  const trimmedPath = join(tempDir, "trimmed.mkv");
+  await new Promise((resolve, reject) => {
+    ffmpeg(listPath)
+      .inputOptions(["-f concat", "-safe 0"])
+      .outputOptions(["-map 0", "-c copy"])
+      .output(trimmedPath)
+      .on("end", resolve)
+      .on("error", (err) => {
+        reject(
+          new TranscodingError(
+            `Joining trim ranges failed: ${err.message}`,
+            "trim",
+            err,
+          ),
+        );
+      })
+      .run();
+  });
+
+  partPaths.forEach((path) => rmSync(path, { force: true }));
+  rmSync(listPath, { force: true });
+  return trimmedPath;
+}
+
+// Encoder options shared by the trim and bumper intermediates. Colour
+// tags and interlacing are carried over so analysis sees the source as it
+// was.
+function getIntermediateOptions(sourceInfo) {
+  const parity = FIELD_ORDER_PARITY[sourceInfo.fieldOrder];
+  return [
+    "-c:v libx264",
+    "-preset veryfast",
+    "-crf 12",
+    ...[
+      sourceInfo.colorPrimaries
+        ? `-color_primaries ${sourceInfo.colorPrimaries}`
+        : null,
+      sourceInfo.colorTransfer
+        ? `-color_trc ${sourceInfo.colorTransfer}`
+        : null,
+      sourceInfo.colorSpace ? `-colorspace ${sourceInfo.colorSpace}` : null,
+    ].filter(Boolean),
+    ...(parity
+      ? ["-flags +ilme+ildct", `-top ${parity === "tff" ? 1 : 0}`]
+      : []),
+    "-c:a flac",
+    "-c:s srt",
+  ];
+}
+
+// Cuts sidecar captions to the kept ranges and moves them onto the trimmed
+// timeline. Cues crossing a cut are shortened to the part that is kept.
+function trimCaptionFiles(captionFiles, ranges) {
+  return captionFiles.map((caption) => {
+    const trimmedPath = caption.path.replace(/\.normalized$/, ".trimmed");
+    writeFileSync(
+      trimmedPath,
+      trimCaptionCues(readFileSync(caption.path, "utf8"), ranges),
+    );
+    return { ...caption, path: trimmedPath };
+  });
+}
+
+function trimCaptionCues(content, ranges) {
+  const cues = content
+    .trim()
+    .split(/\n{2,}/)
+    .slice(1)
+    .map((block) => {
+      const [timingLine, ...text] = block.split("\n");
+      const [startText, rest] = timingLine.split("-->").map((p) => p.trim());
+      const [endText, ...settings] = rest.split(/\s+/);
+      return {
+        start: parseVTTTimestamp(startText),
+        end: parseVTTTimestamp(endText),
+        settings: settings.join(" "),
+        text: text.join("\n"),
+      };
+    });
+
+  const kept = [];
+  let offset = 0;
+  for (const range of ranges) {
+    for (const cue of cues) {
+      const start = Math.max(cue.start, range.start);
+      const end = Math.min(cue.end, range.end);
+      if (end > start) {
+        kept.push(
+          [
+            `${formatVTTTimestamp(start - range.start + offset)} --> ${formatVTTTimestamp(end - range.start + offset)}${cue.settings ? ` ${cue.settings}` : ""}`,
+            cue.text,
+          ].join("\n"),
+        );
+      }
+    }
+    offset += range.end - range.start;
+  }
+
+  return ["WEBVTT", ...kept].join("\n\n") + "\n";
+}
+
+// Moves sidecar captions later on the timeline by the intro's length. A
+// single open range starting before zero shifts every cue by that amount.
+function offsetCaptionFiles(captionFiles, offset) {
+  return captionFiles.map((caption) => {
+    const offsetPath = caption.path.replace(/\.[a-z]+$/, ".offset");
+    writeFileSync(
+      offsetPath,
+      trimCaptionCues(readFileSync(caption.path, "utf8"), [
+        { start: -offset, end: Infinity },
+      ]),
+    );
+    rmSync(caption.path, { force: true });
+    return { ...caption, path: offsetPath };
+  });
+}
+
+// Bumper audio is resampled to this rate and each main track's layout
+const BUMPER_SAMPLE_RATE = 48000;
+
+// Joins the intro, main source and outro with the concat filter into one
+// near-lossless intermediate. The bumpers are scaled and padded to the
+// main source's display size and conformed to its exact frame rate and
+// pixel format; the main source keeps its own timing. Bumper audio is fed
+// into every main audio track with that track's layout (silence when a
+// bumper has none). Text subtitles from the main source are read from a
+// second, offset input so they stay in sync after the intro.
+async function stitchBumpers(mainPath, bumpers, tempDir, mainInfo, jobId) {
+  const display = getDisplaySize(mainInfo);
+  const segments = [
+    bumpers.intro && { ...bumpers.intro, name: "intro" },
+    { path: mainPath, info: mainInfo, name: "main" },
+    bumpers.outro && { ...bumpers.outro, name: "outro" },
+  ].filter(Boolean);
+  const audioTracks = mainInfo.audioTracks || [];
+  const subtitleTracks = (mainInfo.subtitleTracks || []).filter((track) =>
+    TEXT_SUBTITLE_CODECS.includes(track.codec),
+  );
+  const introDuration = bumpers.intro?.info.duration || 0;
+
+  // The rate the ladder is fitted to, so bumper frames are never duplicated
+  // up to a timebase such as WebM's 1000/1
+  const frameRate = mainInfo.frameRate
+    ? snapFrameRate(mainInfo.frameRate, mainInfo.frameRateFraction)
+    : [30, 1];
+  const pixelFormat = `format=${mainInfo.pixelFormat || "yuv420p"}`;
+  const bumperVideoFilter = [
+    `scale=${display.width}:${display.height}:force_original_aspect_ratio=decrease`,
+    `pad=${display.width}:${display.height}:(ow-iw)/2:(oh-ih)/2:color=black`,
+    "setsar=1",
+    `fps=${frameRate.join("/")}`,
+    pixelFormat,
+    "setpts=PTS-STARTPTS",
+  ].join(",");
+  // Only anamorphic sources need scaling to match the square-pixel bumpers
+  const anamorphic =
+    display.width !== mainInfo.width || display.height !== mainInfo.height;
+  const mainVideoFilter = [
+    anamorphic ? `scale=${display.width}:${display.height}` : null,
+    "setsar=1",
+    pixelFormat,
+    "setpts=PTS-STARTPTS",
+  ]
+    .filter(Boolean)
+    .join(",");
+  // Tracks without a probed layout fall back to a plain channel count
+  const channelLayout = (track) =>
+    track.channelLayout || `${track.channels || 2}c`;
+  const audioFilter = (track) =>
+    [
+      `aresample=${BUMPER_SAMPLE_RATE}`,
+      `aformat=sample_fmts=fltp:channel_layouts=${channelLayout(track)}`,
+      "asetpts=PTS-STARTPTS",
+    ].join(",");
+
+  const filterGraph = [];
+  const concatInputs = [];
+  segments.forEach((segment, i) => {
+    filterGraph.push(
+      `[${i}:v:0]${segment.name === "main" ? mainVideoFilter : bumperVideoFilter}[v${i}]`,
+    );
+    concatInputs.push(`[v${i}]`);
+    // A bumper's one audio stream is split to feed every main track
+    const splitBumperAudio =
+      segment.name !== "main" &&
+      segment.info.hasAudio &&
+      audioTracks.length > 1;
+    if (splitBumperAudio) {
+      filterGraph.push(
+        `[${i}:a:0]asplit=${audioTracks.length}${audioTracks.map((_, k) => `[b${i}_${k}]`).join("")}`,
+      );
+    }
+    audioTracks.forEach((track, k) => {
+      const label = `[a${i}_${k}]`;
+      if (segment.name === "main") {
+        filterGraph.push(
+          `[${i}:a:${track.index}]${audioFilter(track)}${label}`,
+        );
+      } else if (segment.info.hasAudio) {
+        const input = splitBumperAudio ? `[b${i}_${k}]` : `[${i}:a:0]`;
+        filterGraph.push(`${input}${audioFilter(track)}${label}`);
+      } else {
+        filterGraph.push(
+          `anullsrc=r=${BUMPER_SAMPLE_RATE}:cl=${channelLayout(track)},atrim=duration=${segment.info.duration}${label}`,
+        );
+      }
+      concatInputs.push(label);
+    });
+  });
+  filterGraph.push(
+    `${concatInputs.join("")}concat=n=${segments.length}:v=1:a=${audioTracks.length}[v]${audioTracks.map((_, k) => `[a${k}]`).join("")}`,
+  );
+
+  // Filter outputs lose their stream tags, which audio track selection
+  // relies on
+  const audioOptions = audioTracks.flatMap((track, k) => [
+    "-map",
+    `[a${k}]`,
+    ...(track.language
+      ? [`-metadata:s:a:${k}`, `language=${track.language}`]
+      : []),
+    ...(track.title ? [`-metadata:s:a:${k}`, `title=${track.title}`] : []),
+    `-disposition:a:${k} ${track.isDefault ? "default" : "0"}`,
+  ]);
+  const subtitleInput = segments.length;
+  const subtitleOptions = subtitleTracks.flatMap((track) => [
+    "-map",
+    `${subtitleInput}:s:${track.index}`,
+  ]);
+
+  const stitchedPath = join(tempDir, "stitched.mkv");
+  await new Promise((resolve, reject) => {
+    const command = ffmpeg();
+    segments.forEach((segment) => {
+      command
+        .input(segment.path)
+        .inputOptions(getFormatSpecificOptions(segment.path));
+    });
+    if (subtitleOptions.length > 0) {
+      command
+        .input(mainPath)
+        .inputOptions([
+          ...getFormatSpecificOptions(mainPath),
+          `-itsoffset ${introDuration}`,
+        ]);
+    }
+
+    command
+      .outputOptions([
+        "-filter_complex",
+        filterGraph.join(";"),
+        "-map",
+        "[v]",
+        ...audioOptions,
+        ...subtitleOptions,
+        ...getIntermediateOptions(mainInfo),
+      ])
+      .output(stitchedPath)
+      .on("start", async (commandLine) => {
+        await JobManager.addJobLog(
+          jobId,
+          LOG_LEVELS.DEBUG,
+          "FFmpeg command started for bumper stitching",
+          "bumpers",
+          { command: commandLine },
+        );
+      })
+      .on("end", resolve)
+      .on("error", (err) => {
+        reject(
+          new TranscodingError(
+            `Stitching bumpers failed: ${err.message}`,
+            "bumpers",
+            err,
+          ),
+        );
+      })
+      .run();
+  });
+
+  return stitchedPath;
+}
+
+// The job's watermark, or the configured logo with default placement for
+// environments listed in WATERMARK_ENVIRONMENTS. A job image is downloaded
+// from the OV bucket; without one the configured logo is used.
+async function prepareWatermark(
+  settings,
+  environment,
+  tempDir,
+  b2Service,
+  jobId,
+) {
+  const brandedEnvironments = (process.env.WATERMARK_ENVIRONMENTS || "")
+    .split(",")
+    .map((e) => e.trim())
+    .filter(Boolean);
+  const watermark =
+    settings ||
+    (brandedEnvironments.includes(environment || "production") ? {} : null);
+  if (!watermark) {
+    return null;
+  }
+
+  let path;
+  if (watermark.image) {
+    path = join(tempDir, `watermark${extname(watermark.image).toLowerCase()}`);
+    try {
+      await b2Service.downloadFile(
+        watermark.image,
+        path,
+        BUCKET_TYPES.ORIGINAL_VIDEO,
+      );
+    } catch (downloadError) {
+      throw new TranscodingError(
+        `Watermark download failed for ${watermark.image}: ${downloadError.message}`,
+        "download",
+        downloadError,
+      );
+    }
+  } else {
+    path = process.env.WATERMARK_LOGO;
+    if (!path || !existsSync(path)) {
+      throw new TranscodingError(
+        "Watermark requested but WATERMARK_LOGO is not configured",
+        "validation",
+      );
+    }
+  }
+
+  const resolved = {
+    ...WATERMARK_DEFAULTS,
+    ...Object.fromEntries(
+      Object.entries(watermark).filter(([, value]) => value != null),
+    ),
+    image: watermark.image || null,
+    path,
+  };
+
+  await JobManager.addJobLog(
+    jobId,
+    LOG_LEVELS.INFO,
+    `Watermarking with ${watermark.image || "the configured logo"}`,
+    "download",
+    {
+      position: resolved.position,
+      margin: resolved.margin,
+      opacity: resolved.opacity,
+      scale: resolved.scale,
+      fromEnvironment: !settings,
+    },
+  );
+
+  return resolved;
+}
+
+async function loadPreset(presetRef) {
+  // Jobs queued before presets existed fall back to the default ladder
+  const preset = presetRef
+    ? await PresetManager.getPresetVersion(presetRef.name, presetRef.version)
+    : await PresetManager.getDefaultPreset();
+
+  if (!preset) {
+    throw new TranscodingError(
+      `Encoding preset not found: ${presetRef?.name} v${presetRef?.version}`,
+      "initialization",
+    );
+  }
+
+  return preset;
+}
+
+// Transfer characteristics that mark a source as HDR
+const HDR_TRANSFERS = {
+  smpte2084: "pq", // HDR10 / HDR10+ / Dolby Vision base layer
+  "arib-std-b67": "hlg",
+};
+
+// HDR needs a PQ or HLG transfer with BT.2020 primaries. Untagged
+// primaries are assumed to be BT.2020, since many HDR encoders only tag
+// the transfer; any other primaries mean the transfer tag is wrong.
+function detectDynamicRange(videoInfo) {
+  const transfer = HDR_TRANSFERS[videoInfo.colorTransfer];
+  const primaries = videoInfo.colorPrimaries;
+  const bt2020 = primaries === "bt2020";
+
+  if (transfer && (bt2020 || !primaries || primaries === "unknown")) {
+    return { range: transfer, note: null };
+  }
+  if (transfer) {
+    return {
+      range: "sdr",
+      note: `${videoInfo.colorTransfer} transfer with ${primaries} primaries, treating as SDR`,
+    };
+  }
+  return {
+    range: "sdr",
+    note: bt2020 ? "BT.2020 primaries with an SDR transfer" : null,
+  };
+}
+
+// How an HDR source is turned into renditions: tone mapped to BT.709 SDR
+// when the filters exist, plus an optional HEVC Main 10 ladder in the
+// source's own transfer
+async function resolveDynamicRange(videoInfo, options) {
+  const { range: source, note } = detectDynamicRange(videoInfo);
+  if (source === "sdr") {
+    return { source, toneMap: false, hdrLadder: false, reason: null, note };
+  }
+
+  const filters = await getAvailableFilters();
+  const toneMap = Boolean(filters.zscale && filters.tonemap);
+  const encoders = options.keepHdr ? await getAvailableEncoders() : {};
+  const hdrLadder = Boolean(
+    options.keepHdr && encoders[CODEC_FAMILIES.hevc.encoder],
+  );
+
+  let reason = null;
+  if (!toneMap) {
+    reason =
+      "zscale/tonemap filters unavailable, SDR renditions will look washed out";
+  } else if (options.keepHdr && !hdrLadder) {
+    reason = `${CODEC_FAMILIES.hevc.encoder} unavailable, HDR ladder skipped`;
+  }
+
+  return { source, toneMap, hdrLadder, reason, note };
+}
+
+// ffprobe field orders, by the field displayed first
+const FIELD_ORDER_PARITY = {
+  tt: "tff",
+  bt: "tff",
+  bb: "bff",
+  tb: "bff",
+};
+
+const IDET_SAMPLE_FRAMES = 500;
+
+// Whether to deinterlace: the job's "on"/"off" override, or in "auto" mode
+// the probe's field order confirmed by an idet pass, since broadcast files
+// are often flagged wrongly in either direction
+async function resolveDeinterlace(videoInfo, inputPath, options) {
+  const mode = options.deinterlace || "auto";
+  const fieldOrder = videoInfo.fieldOrder || "unknown";
+  const probeParity = FIELD_ORDER_PARITY[fieldOrder] || null;
+
+  if (mode === "off") {
+    return { mode, applied: false, fieldOrder, parity: null, detection: null };
+  }
+
+  // Progressive flags are trusted; anything else is checked frame by frame
+  const detection =
+    fieldOrder === "progressive"
+      ? null
+      : await detectInterlacing(inputPath, videoInfo.duration);
+
+  let interlaced = Boolean(probeParity);
+  let parity = probeParity;
+  if (detection) {
+    interlaced = detection.tff + detection.bff > detection.progressive;
+    if (detection.tff + detection.bff > 0) {
+      parity = detection.tff >= detection.bff ? "tff" : "bff";
+    }
+  }
+
+  return {
+    mode,
+    applied: mode === "on" || interlaced,
+    fieldOrder,
+    parity,
+    detection,
+  };
+}
+
+// Runs FFmpeg's idet filter over a sample and returns its multi-frame
+// counts, or null when detection fails
+function detectInterlacing(inputPath, duration) {
+  // Skip into the video; intros are often black or still frames
+  const seek = Math.min((duration || 0) * 0.1, 60);
+
+  return new Promise((resolve) => {
+    ffmpeg(inputPath)
+      .inputOptions([...getFormatSpecificOptions(inputPath), `-ss ${seek}`])
+      .outputOptions([
+        "-vf idet",
+        `-frames:v ${IDET_SAMPLE_FRAMES}`,
+        "-an",
+        "-sn",
+      ])
+      .format("null")
+      .output("-")
+      .on("end", (stdout, stderr) => resolve(parseIdetOutput(stderr)))
+      .on("error", () => resolve(null))
+      .run();
+  });
+}
+
+function parseIdetOutput(stderr) {
+  const matches = [
+    ...(stderr || "").matchAll(
+      /Multi frame detection:\s*TFF:\s*(\d+)\s*BFF:\s*(\d+)\s*Progressive:\s*(\d+)\s*Undetermined:\s*(\d+)/g,
+    ),
+  ];
+  const last = matches[matches.length - 1];
+  if (!last) {
+    return null;
+  }
+
+  const [tff, bff, progressive, undetermined] = last.slice(1).map(Number);
+  return { tff, bff, progressive, undetermined };
+}
+
+// EBU R128: -23 LUFS integrated, -1 dBTP, 11 LU loudness range
+const LOUDNESS_DEFAULTS = { target: -23, truePeak: -1, range: 11 };
+// loudnorm outputs 192 kHz in dynamic mode, so resample back to 48 kHz
+const LOUDNESS_SAMPLE_RATE = 48000;
+
+// Both loudnorm passes for every selected audio track, downmixed to stereo
+// as it is encoded. The first measures the track; the second runs the
+// exact filter the encodes use and reports the loudness it produces and
+// whether loudnorm applied a linear gain or compressed dynamically (it
+// only stays linear when the true peak and loudness range allow it).
+// Tracks that are silent (or too quiet to measure) are left as they are.
+async function analyzeLoudness(inputPath, audioTracks, settings) {
+  const targets = { ...LOUDNESS_DEFAULTS, ...settings };
+
+  const tracks = [];
+  for (const track of audioTracks) {
+    const { measured } = await measureLoudness(
+      inputPath,
+      track.index,
+      getLoudnormOptions(targets),
+    );
+    if (!Number.isFinite(measured.integrated) || measured.integrated < -70) {
+      tracks.push({ index: track.index, measured, skipped: true });
+      continue;
+    }
+
+    const { output, mode } = await measureLoudness(
+      inputPath,
+      track.index,
+      getLoudnormOptions(targets, measured),
+    );
+    tracks.push({
+      index: track.index,
+      measured,
+      output,
+      mode,
+      skipped: false,
+    });
+  }
+
+  return {
+    target: targets.target,
+    truePeak: targets.truePeak,
+    range: targets.range,
+    tracks,
+  };
+}
+
+function measureLoudness(inputPath, streamIndex, loudnormOptions) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .inputOptions(getFormatSpecificOptions(inputPath))
+      .outputOptions([
+        "-map",
+        `0:a:${streamIndex}`,
+        `-af aformat=channel_layouts=stereo,${loudnormOptions}:print_format=json`,
+        "-vn",
+        "-sn",
+      ])
+      .format("null")
+      .output("-")
+      .on("end", (stdout, stderr) => {
+        const result = parseLoudnormOutput(stderr);
+        if (!result) {
+          reject(
+            new TranscodingError(
+              `No loudnorm measurement for audio track ${streamIndex}`,
+              "analysis",
+            ),
+          );
+          return;
+        }
+        resolve(result);
+      })
+      .on("error", (err) => {
+        reject(
+          new TranscodingError(
+            `Loudness measurement failed for audio track ${streamIndex}: ${err.message}`,
+            "analysis",
+            err,
+          ),
+        );
+      })
+      .run();
+  });
+}
+
+// loudnorm prints its input and output loudness as a JSON object of
+// strings after the filter summary; silence measures as "-inf"
+function parseLoudnormOutput(stderr) {
+  const match = (stderr || "").match(/\{[^{}]*"input_i"[^{}]*\}/);
+  if (!match) {
+    return null;
+  }
+
+  const values = JSON.parse(match[0]);
+  return {
+    measured: {
+      integrated: parseFloat(values.input_i),
+      truePeak: parseFloat(values.input_tp),
+      range: parseFloat(values.input_lra),
+      threshold: parseFloat(values.input_thresh),
+      offset: parseFloat(values.target_offset),
+    },
+    output: {
+      integrated: parseFloat(values.output_i),
+      truePeak: parseFloat(values.output_tp),
+      range: parseFloat(values.output_lra),
+    },
+    mode: (values.normalization_type || "").toLowerCase() || null,
+  };
+}
+
+// loudnorm options for the targets; with a first-pass measurement they
+// make the second pass apply its gain evenly rather than adapt on the fly
+function getLoudnormOptions(targets, measured) {
+  return [
+    `loudnorm=I=${targets.target}:TP=${targets.truePeak}:LRA=${targets.range}`,
+    ...(measured
+      ? [
+          `measured_I=${measured.integrated}`,
+          `measured_TP=${measured.truePeak}`,
+          `measured_LRA=${measured.range}`,
+          `measured_thresh=${measured.threshold}`,
+          `offset=${measured.offset}`,
+          "linear=true",
+        ]
+      : []),
+  ].join(":");
+}
+
+// Second loudnorm pass for one source audio track. The downmix comes first
+// so the pass sees the audio that was measured.
+function getLoudnormFilter(loudness, streamIndex) {
+  const track = loudness?.tracks.find((t) => t.index === streamIndex);
+  if (!track || track.skipped) {
+    return null;
+  }
+
+  return [
+    "aformat=channel_layouts=stereo",
+    getLoudnormOptions(loudness, track.measured),
+    `aresample=${LOUDNESS_SAMPLE_RATE}`,
+  ].join(",");
+}
+
+function getAvailableFilters() {
+  return new Promise((resolve) => {
+    ffmpeg.getAvailableFilters((err, filters) => {
+      resolve(err ? {} : filters);
+    });
+  });
+}
+
+function getAvailableEncoders() {
+  return new Promise((resolve) => {
+    ffmpeg.getAvailableEncoders((err, encoders) => {
+      resolve(err ? {} : encoders);
+    });
+  });
+}
+
+// Splits the requested image formats into those this FFmpeg build can
+// encode and those it cannot; WebP and AVIF depend on how it was built
+async function getUsableFormats(formats, formatTable) {
+  const encoders = formats.some((f) => formatTable[f].encoder)
+    ? await getAvailableEncoders()
+    : {};
+  const usableFormats = formats.filter(
+    (f) => !formatTable[f].encoder || encoders[formatTable[f].encoder],
+  );
+  return {
+    usableFormats,
+    skippedFormats: formats.filter((f) => !usableFormats.includes(f)),
+  };
+}
+
+async function resolveCodecFamilies(requestedCodecs = []) {
+  const extraFamilies = [...new Set(requestedCodecs)].filter(
+    (family) => family !== DEFAULT_CODEC_FAMILY && CODEC_FAMILIES[family],
+  );
+  if (extraFamilies.length === 0) {
+    return [DEFAULT_CODEC_FAMILY];
+  }
+
+  const encoders = await getAvailableEncoders();
+  return [
+    DEFAULT_CODEC_FAMILY,
+    ...extraFamilies.filter(
+      (family) => encoders[CODEC_FAMILIES[family].encoder],
+    ),
+  ];
+}
+
+// One variant per codec family and resolution, plus the separate audio
+// renditions when requested. H.264 keeps the plain resolution as its id so
+// existing output paths stay unchanged. Families that cannot be carried in
+// MPEG-TS always get fMP4 segments. HDR sources can add an HEVC ladder in
+// the source's transfer next to the SDR renditions.
+function buildVariants(resolutions, codecFamilies, ladder, options, source) {
+  const audioVariants = buildAudioVariants(
+    options,
+    source.audioTracks,
+    source.loudness,
+  );
+  const subtitleVariants = buildSubtitleVariants(
+    source.subtitleTracks,
+    source.captionFiles,
+  );
+
+  // Without audio renditions the only selected track is muxed into every
+  // video rendition
+  const muxedAudio =
+    audioVariants.length === 0 ? source.audioTracks[0] || null : null;
+
+  const videoVariant = (family, resolution, id, dynamicRange) => ({
+    id,
+    type: "video",
+    resolution,
+    family,
+    config: ladder[resolution],
+    dynamicRange,
+    toneMap: dynamicRange === "sdr" && Boolean(source.dynamicRange?.toneMap),
+    deinterlace: source.deinterlace?.applied
+      ? source.deinterlace.parity || "auto"
+      : null,
+    // The logo is converted to HDR with zscale, which the tone mapping
+    // also needs; without it the HDR ladder goes unbranded
+    watermark:
+      dynamicRange === "sdr" || source.dynamicRange?.toneMap
+        ? source.watermark || null
+        : null,
+    audioGroup: pickAudioGroup(audioVariants, ladder[resolution]),
+    audioStreamIndex: muxedAudio ? muxedAudio.index : null,
+    // Only the explicitly mapped muxed track is normalised
+    loudnorm: muxedAudio
+      ? getLoudnormFilter(source.loudness, muxedAudio.index)
+      : null,
+    subtitleGroup: subtitleVariants.length > 0 ? "subs" : null,
+    segmentType:
+      options.segmentFormat === "fmp4"
+        ? "fmp4"
+        : CODEC_FAMILIES[family].segmentType,
+  });
+
+  const videoVariants = codecFamilies.flatMap((family) =>
+    resolutions.map((resolution) =>
+      videoVariant(
+        family,
+        resolution,
+        family === DEFAULT_CODEC_FAMILY
+          ? resolution
+          : `${family}_${resolution}`,
+        "sdr",
+      ),
+    ),
+  );
+
+  const hdrVariants = source.dynamicRange?.hdrLadder
+    ? resolutions.map((resolution) =>
+        videoVariant(
+          "hevc",
+          resolution,
+          `hevc_hdr_${resolution}`,
+          source.dynamicRange.source,
+        ),
+      )
+    : [];
+
+  return [
+    ...videoVariants,
+    ...hdrVariants,
+    ...audioVariants,
+    ...subtitleVariants,
+  ];
+}
+
+// Audio-only renditions, encoded once per bitrate and language instead of
+// muxed into every video rendition. Muxed audio can only carry one track,
+// so several languages always use separate renditions.
+function buildAudioVariants(options, audioTracks, loudness) {
+  if (
+    audioTracks.length === 0 ||
+    (!options.separateAudio && audioTracks.length < 2)
+  ) {
+    return [];
+  }
+
+  const bitrates = options.audioBitrates?.length
+    ? options.audioBitrates
+    : [DEFAULT_AUDIO_BITRATE];
+
+  return bitrates.flatMap((bitrate) =>
+    audioTracks.map((track) => ({
+      // Single-track ids stay unchanged from before multi-language support
+      id:
+        audioTracks.length > 1
+          ? `audio_${bitrate}_${track.language}`
+          : `audio_${bitrate}`,
+      type: "audio",
+      resolution: null,
+      family: "aac",
+      bitrate,
+      streamIndex: track.index,
+      loudnorm: getLoudnormFilter(loudness, track.index),
+      groupId: `audio-${bitrate}`,
+      name: track.name,
+      language: track.language === "und" ? null : track.language,
+      isDefault: track.isDefault,
+      segmentType: options.segmentFormat === "fmp4" ? "fmp4" : "mpegts",
+    })),
+  );
+}
+
+// Segmented WebVTT renditions, one per embedded text track and sidecar
+// caption, all in one SUBTITLES group
+function buildSubtitleVariants(subtitleTracks, captionFiles) {
+  const variants = [
+    ...captionFiles.map((caption) => ({
+      id: `caption_${caption.index}_${caption.language}`,
+      source: "sidecar",
+      sourceKey: caption.key,
+      sourcePath: caption.path,
+      ...caption,
+    })),
+    ...subtitleTracks.map((track) => ({
+      id: `subs_${track.index}_${track.language}`,
+      source: "embedded",
+      streamIndex: track.index,
+      ...track,
+    })),
+  ];
+
+  // At most one DEFAULT=YES per group; an explicit sidecar default wins
+  const defaultVariant = variants.find((v) => v.isDefault);
+
+  // NAME must be unique within the group
+  const names = new Set();
+  return variants.map((variant) => {
+    let name = variant.name;
+    for (let n = 2; names.has(name); n++) {
+      name = `${variant.name} ${n}`;
+    }
+    names.add(name);
+
+    return {
+      id: variant.id,
+      type: "subtitle",
+      resolution: null,
+      family: "webvtt",
+      source: variant.source,
+      sourceKey: variant.sourceKey || null,
+      sourcePath: variant.sourcePath || null,
+      streamIndex: variant.streamIndex ?? null,
+      groupId: "subs",
+      name,
+      language: variant.language === "und" ? null : variant.language,
+      isDefault: variant === defaultVariant,
+      isForced: Boolean(variant.isForced),
+      segmentType: "webvtt",
+    };
+  });
+}
+
+// Highest audio bitrate that does not exceed the rung's own audio bitrate,
+// falling back to the lowest one
+function pickAudioGroup(audioVariants, config) {
+  if (audioVariants.length === 0) {
+    return null;
+  }
+
+  const byBitrate = [...audioVariants].sort(
+    (a, b) => parseInt(b.bitrate) - parseInt(a.bitrate),
+  );
+  const match =
+    byBitrate.find(
+      (audio) => parseInt(audio.bitrate) <= parseInt(config.audioBitrate),
+    ) || byBitrate[byBitrate.length - 1];
+  return match.groupId;
+}
+
+function filterValidResolutions(requestedResolutions, videoInfo, ladder) {
+  return requestedResolutions.filter((resolution) => {
+    const config = ladder[resolution];
+    if (!config) {
+      return false;
+    }
+
+    // Don't upscale - only include rungs the source fills on at least one
+    // edge, comparing short edge to short edge for portrait sources
+    return getFitScale(config, videoInfo) <= 1;
+  });
+}
+
+// Display size of the source, correcting anamorphic pixels
+function getDisplaySize(videoInfo) {
+  return {
+    width: Math.round(videoInfo.width * (videoInfo.sampleAspectRatio || 1)),
+    height: videoInfo.height,
+  };
+}
+
+// Preset rungs describe a landscape box keyed on the short edge (720p is
+// 1280x720); portrait sources use the same box turned on its side
+function getRungBox(config, videoInfo) {
+  const display = getDisplaySize(videoInfo);
+  const longEdge = Math.max(config.width, config.height);
+  const shortEdge = Math.min(config.width, config.height);
+  return display.height > display.width
+    ? { width: shortEdge, height: longEdge }
+    : { width: longEdge, height: shortEdge };
+}
+
+function getFitScale(config, videoInfo) {
+  const display = getDisplaySize(videoInfo);
+  const box = getRungBox(config, videoInfo);
+  return Math.min(box.width / display.width, box.height / display.height);
+}
+
+// Nearest standard rate within 3%, otherwise the probed rational as is
+// (12.5fps stays 25/2 rather than becoming 13)
+function snapFrameRate(rate, fraction) {
+  const [nearest] = [...STANDARD_FRAME_RATES].sort(
+    (a, b) => Math.abs(a[0] / a[1] - rate) - Math.abs(b[0] / b[1] - rate),
+  );
+  if (Math.abs(nearest[0] / nearest[1] - rate) / rate < 0.03) {
+    return nearest;
+  }
+
+  // Sources analyzed before the rational was probed
+  const [num, den] = parseFrameRate(fraction)
+    ? fraction.split("/").map(Number)
+    : [Math.round(rate * 1000), 1000];
+  const divisor = gcd(num, den || 1);
+  return [num / divisor, (den || 1) / divisor];
+}
+
+// Rungs without maxFrameRate keep up to 60fps, low rungs up to 30fps
+function getMaxFrameRate(config) {
+  if (config.maxFrameRate) {
+    return config.maxFrameRate;
+  }
+  return Math.min(config.width, config.height) <= 480 ? 30 : 60;
+}
+
+function gcd(a, b) {
+  return b ? gcd(b, a % b) : a;
+}
+
+// Frame rate and GOP of every rung. Capped rungs keep every Nth source
+// frame, and the source GOP is a multiple of every N, so each rendition's
+// keyframes fall on the same source frames.
+function getFrameRatePlan(ladder, resolutions, videoInfo) {
+  if (!videoInfo.frameRate) {
+    return null; // Sources analyzed before frame rates were probed
+  }
+
+  const [num, den] = snapFrameRate(
+    videoInfo.frameRate,
+    videoInfo.frameRateFraction,
+  );
+  const sourceRate = num / den;
+  const divisors = Object.fromEntries(
+    resolutions.map((resolution) => [
+      resolution,
+      Math.max(
+        1,
+        Math.ceil(sourceRate / getMaxFrameRate(ladder[resolution]) - 0.001),
+      ),
+    ]),
+  );
+  const lcm = Object.values(divisors).reduce((a, b) => (a * b) / gcd(a, b), 1);
+  const sourceGop =
+    Math.max(1, Math.round((GOP_DURATION * sourceRate) / lcm)) * lcm;
+
+  return Object.fromEntries(
+    resolutions.map((resolution) => [
+      resolution,
+      {
+        frameRate: `${num}/${den * divisors[resolution]}`,
+        gopFrames: sourceGop / divisors[resolution],
+      },
+    ]),
+  );
+}
+
+function toEven(value) {
+  return Math.max(2, Math.round(value / 2) * 2);
+}
+
+// Ladder with the real output size of every rung: the source fitted inside
+// the rung's box with even dimensions, or the full box when padding. Also
+// pins each rung's frame rate and GOP.
+function fitLadderToSource(ladder, resolutions, videoInfo, options) {
+  const display = getDisplaySize(videoInfo);
+  const frameRatePlan = getFrameRatePlan(ladder, resolutions, videoInfo);
+
+  return Object.fromEntries(
+    resolutions.map((resolution) => {
+      const config = ladder[resolution];
+      const box = getRungBox(config, videoInfo);
+      const scale = Math.min(getFitScale(config, videoInfo), 1);
+      const scaleWidth = Math.min(toEven(display.width * scale), box.width);
+      const scaleHeight = Math.min(toEven(display.height * scale), box.height);
+      const pad = options.scaleMode === "pad";
+
+      return [
+        resolution,
+        {
+          ...config,
+          width: pad ? box.width : scaleWidth,
+          height: pad ? box.height : scaleHeight,
+          scaleWidth,
+          scaleHeight,
+          ...frameRatePlan?.[resolution],
+          sceneCut: options.sceneCut !== false,
+        },
+      ];
+    }),
+  );
+}
+
+// PQ/HLG to BT.709: linearise, convert primaries, compress highlights with
+// the Hable curve, then back to limited-range BT.709
+const TONE_MAP_FILTERS = [
+  "zscale=t=linear:npl=100",
+  "format=gbrpf32le",
+  "zscale=p=bt709",
+  "tonemap=tonemap=hable:desat=0",
+  "zscale=t=bt709:m=bt709:r=tv",
+];
+
+// bwdif parity values: 0 top field first, 1 bottom field first, -1 from
+// the frame flags
+const BWDIF_PARITY = { tff: 0, bff: 1, auto: -1 };
+
+// Deinterlacing runs on the full-size source frame, ahead of the per
+// rendition chain (and ahead of the split in single-pass mode)
+function getDeinterlaceFilter(variant) {
+  if (!variant.deinterlace) {
+    return null;
+  }
+  // One output frame per input frame keeps the source frame rate
+  return `bwdif=mode=send_frame:parity=${BWDIF_PARITY[variant.deinterlace]}:deint=all`;
+}
+
+// Same deinterlacing for posters, previews and trickplay, which read the
+// source directly rather than through a variant
+function getSourceDeinterlaceFilter(source) {
+  return getDeinterlaceFilter({
+    deinterlace: source.deinterlace?.applied
+      ? source.deinterlace.parity || "auto"
+      : null,
+  });
+}
+
+// Complete -vf chain for a variant encoded on its own
+function getFullVideoFilter(variant) {
+  return [getDeinterlaceFilter(variant), getVideoFilter(variant)]
+    .filter(Boolean)
+    .join(",");
+}
+
+// Converts the sRGB logo to an HDR rung's BT.2020 primaries and transfer,
+// with its white at the 203 nit reference level (BT.2408) rather than at
+// the transfer's peak
+function getHdrLogoFilters(variant) {
+  const transfer = variant.dynamicRange === "pq" ? "smpte2084" : "arib-std-b67";
+  return [
+    "format=gbrapf32le",
+    "zscale=tin=iec61966-2-1:pin=bt709:t=linear:p=bt2020",
+    `zscale=t=${transfer}:npl=203:m=bt2020nc:r=tv`,
+    "format=yuva444p10le",
+  ];
+}
+
+// Overlays the watermark on a variant's scaled frame. The logo is sized
+// from the rendition height, not the source's, so it covers the same share
+// of the picture on every rung.
+function getWatermarkFilters(variant, videoLabel, logoLabel, outputLabel) {
+  const { config, watermark } = variant;
+  const logoHeight = toEven(config.height * watermark.scale);
+  const margin = Math.round(config.height * watermark.margin);
+  const [x, y] = WATERMARK_POSITIONS[watermark.position](margin);
+  const logoFilter = [
+    `scale=-2:${logoHeight}`,
+    "format=rgba",
+    `colorchannelmixer=aa=${watermark.opacity}`,
+    ...(isHdr(variant) ? getHdrLogoFilters(variant) : []),
+  ].join(",");
+
+  return [
+    `[${logoLabel}]${logoFilter}[${outputLabel}logo]`,
+    `[${videoLabel}][${outputLabel}logo]overlay=${x}:${y}:format=auto[${outputLabel}]`,
+  ];
+}
+
+// Filter graph for a watermarked variant encoded on its own, with the logo
+// as the second input. The result is labelled [out].
+function getWatermarkedFilterGraph(variant, videoInput) {
+  return [
+    `[${videoInput}]${getFullVideoFilter(variant)}[scaled]`,
+    ...getWatermarkFilters(variant, "scaled", "1:v", "out"),
+  ].join(";");
+}
+
+function isHdr(variant) {
+  return variant.dynamicRange === "pq" || variant.dynamicRange === "hlg";
+}
+
+// Per-title ladder: sample chunks are CRF-encoded at the top rung to
+// measure how many bits this content needs, and the measured rate is
+// projected onto the other rungs
+const PER_TITLE_SAMPLE_DURATION = 5;
+const PER_TITLE_SAMPLE_POSITIONS = [0.15, 0.5, 0.85];
+const PER_TITLE_CRF = 23; // Same quality target as the H.264 encode
+const PER_TITLE_HEADROOM = 1.5; // maxrate above the average CRF rate
+const PER_TITLE_MIN_FACTOR = 0.25; // Never below a quarter of the preset
+const PER_TITLE_MIN_STEP = 1.3; // Neighbouring rungs at least 30% apart
+
+async function analyzePerTitle(
+  inputPath,
+  tempDir,
+  ladder,
+  resolutions,
+  videoInfo,
+  options,
+  deinterlace,
+  dynamicRange,
+) {
+  const fitted = fitLadderToSource(ladder, resolutions, videoInfo, options);
+  const byPixels = [...resolutions].sort(
+    (a, b) =>
+      fitted[b].width * fitted[b].height - fitted[a].width * fitted[a].height,
+  );
+  const reference = byPixels[0];
+  const referenceConfig = fitted[reference];
+
+  const probeDir = join(tempDir, "per-title");
+  mkdirSync(probeDir, { recursive: true });
+
+  const sampleDuration = Math.min(
+    PER_TITLE_SAMPLE_DURATION,
+    videoInfo.duration || PER_TITLE_SAMPLE_DURATION,
+  );
+  const starts =
+    videoInfo.duration > sampleDuration * PER_TITLE_SAMPLE_POSITIONS.length * 2
+      ? PER_TITLE_SAMPLE_POSITIONS.map(
+          (position) => (videoInfo.duration - sampleDuration) * position,
+        )
+      : [0];
+
+  // Same filters as the real encode, so tone mapping and deinterlacing
+  // are part of the measurement
+  const videoFilter = getFullVideoFilter({
+    config: referenceConfig,
+    dynamicRange: "sdr",
+    toneMap: Boolean(dynamicRange?.toneMap),
+    deinterlace: deinterlace?.applied ? deinterlace.parity || "auto" : null,
+  });
+
+  const samples = [];
+  try {
+    for (const [i, start] of starts.entries()) {
+      const samplePath = join(probeDir, `sample-${i}.mp4`);
+      await encodePerTitleSample(
+        inputPath,
+        samplePath,
+        start,
+        sampleDuration,
+        videoFilter,
+      );
+      samples.push({
+        start: Math.round(start * 100) / 100,
+        kbps: Math.round(
+          (statSync(samplePath).size * 8) / sampleDuration / 1000,
+        ),
+      });
+    }
+  } finally {
+    rmSync(probeDir, { recursive: true, force: true });
+  }
+
+  const referenceKbps = Math.round(
+    samples.reduce((total, sample) => total + sample.kbps, 0) / samples.length,
+  );
+  const referencePixels = referenceConfig.width * referenceConfig.height;
+  const referenceFps = parseFrameRate(referenceConfig.frameRate);
+
+  // Bits per pixel rise as resolution drops, hence the 0.75 exponent;
+  // halving the frame rate saves less than half the bits
+  const rungs = byPixels.map((resolution) => {
+    const config = fitted[resolution];
+    const presetKbps = parseInt(ladder[resolution].bitrate);
+    const pixelRatio = (config.width * config.height) / referencePixels;
+    const fpsRatio =
+      referenceFps && config.frameRate
+        ? parseFrameRate(config.frameRate) / referenceFps
+        : 1;
+    const estimatedKbps =
+      referenceKbps * Math.pow(pixelRatio, 0.75) * Math.sqrt(fpsRatio);
+    const kbps = Math.round(
+      Math.min(
+        presetKbps,
+        Math.max(
+          presetKbps * PER_TITLE_MIN_FACTOR,
+          estimatedKbps * PER_TITLE_HEADROOM,
+        ),
+      ),
+    );
+    return {
+      resolution,
+      presetKbps,
+      estimatedKbps: Math.round(estimatedKbps),
+      kbps,
+    };
+  });
+
+  // Walk up from the lowest rung, dropping rungs too close to the one
+  // below; the top rung always stays and displaces close rungs instead
+  const ascending = [...rungs].reverse();
+  const top = ascending[ascending.length - 1];
+  const kept = [ascending[0]];
+  const dropped = [];
+  const drop = (rung, neighbour) =>
+    dropped.push({
+      resolution: rung.resolution,
+      reason: `${rung.kbps}k is within ${Math.round((PER_TITLE_MIN_STEP - 1) * 100)}% of ${neighbour.resolution} at ${neighbour.kbps}k`,
+    });
+
+  for (const rung of ascending.slice(1)) {
+    const below = kept[kept.length - 1];
+    if (rung === top) {
+      while (
+        kept.length > 1 &&
+        rung.kbps < kept[kept.length - 1].kbps * PER_TITLE_MIN_STEP
+      ) {
+        drop(kept.pop(), rung);
+      }
+      kept.push(rung);
+    } else if (rung.kbps >= below.kbps * PER_TITLE_MIN_STEP) {
+      kept.push(rung);
+    } else {
+      drop(rung, below);
+    }
+  }
+
+  const keptResolutions = resolutions.filter((r) =>
+    kept.some((rung) => rung.resolution === r),
+  );
+
+  return {
+    reference: `${reference} (${referenceConfig.width}x${referenceConfig.height})`,
+    referenceKbps,
+    complexity:
+      Math.round((referenceKbps / parseInt(ladder[reference].bitrate)) * 100) /
+      100,
+    samples,
+    resolutions: keptResolutions,
+    ladder: Object.fromEntries(
+      keptResolutions.map((r) => [
+        r,
+        `${rungs.find((rung) => rung.resolution === r).kbps}k`,
+      ]),
+    ),
+    rungs,
+    dropped,
+  };
+}
+
+function encodePerTitleSample(inputPath, outputPath, start, duration, filter) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .inputOptions([...getFormatSpecificOptions(inputPath), `-ss ${start}`])
+      .outputOptions([
+        `-t ${duration}`,
+        `-vf ${filter}`,
+        "-an",
+        "-sn",
+        "-c:v libx264",
+        "-preset veryfast",
+        `-crf ${PER_TITLE_CRF}`,
+      ])
+      .output(outputPath)
+      .on("end", resolve)
+      .on("error", (err) => {
+        reject(
+          new TranscodingError(
+            `Per-title sample encode failed: ${err.message}`,
+            "analysis",
+            err,
+          ),
+        );
+      })
+      .run();
+  });
+}
+
+// Preset ladder with the per-title bitrates swapped in
+function applyPerTitleLadder(ladder, perTitle) {
+  if (!perTitle) {
+    return ladder;
+  }
+  return Object.fromEntries(
+    Object.entries(ladder).map(([resolution, config]) => [
+      resolution,
+      perTitle.ladder[resolution]
+        ? { ...config, bitrate: perTitle.ladder[resolution] }
+        : config,
+    ]),
+  );
+}
+
+// Video filter chain for one variant
+function getVideoFilter(variant) {
+  const { config } = variant;
+  const filters = [];
+
+  // Constant frame rate, dropping frames before scaling
+  if (config.frameRate) {
+    filters.push(`fps=${config.frameRate}`);
+  }
+  filters.push(`scale=${config.scaleWidth}:${config.scaleHeight}`);
+
+  // Scale first so tone mapping runs on the smaller frame
+  if (variant.toneMap) {
+    filters.push(...TONE_MAP_FILTERS);
+  }
+  // SDR renditions are 8-bit 4:2:0, which every SDR profile requires
+  if (!isHdr(variant)) {
+    filters.push("format=yuv420p");
+  }
+
+  if (
+    config.width !== config.scaleWidth ||
+    config.height !== config.scaleHeight
+  ) {
+    filters.push(
+      `pad=${config.width}:${config.height}:(ow-iw)/2:(oh-ih)/2:color=black`,
+    );
+  }
+
+  // Output pixels are square even for anamorphic sources
+  filters.push("setsar=1");
+  return filters.join(",");
+}
+
+// Maps the selected source track into a rendition with muxed audio
+function getMuxedAudioMap(variant) {
+  return variant.audioGroup || variant.audioStreamIndex === null
+    ? []
+    : ["-map", `0:a:${variant.audioStreamIndex}`];
+}
+
+// Encoder and HLS muxer options for one variant output
+function getHLSOutputOptions(variant, outputDir) {
+  const { type, family, config, segmentType } = variant;
+
+  const segmentOptions =
+    segmentType === "fmp4"
+      ? [
+          "-hls_segment_type fmp4",
+          "-hls_fmp4_init_filename init.mp4",
+          "-hls_segment_filename",
+          join(outputDir, "index-%05d.m4s"),
+        ]
+      : [
+          "-hls_segment_filename",
+          join(outputDir, "index-%05d.ts"), // Match AWS ETS naming: index-00000.ts, index-00001.ts, etc.
+        ];
+
+  let streamOptions;
+  if (type === "audio") {
+    streamOptions = [
+      "-vn", // Audio-only rendition
+      "-c:a aac",
+      `-b:a ${variant.bitrate}`,
+      "-ac 2",
+      `-ar ${AUDIO_SAMPLE_RATE}`,
+      ...(variant.loudnorm ? [`-af ${variant.loudnorm}`] : []),
+    ];
+  } else if (variant.audioGroup) {
+    streamOptions = [
+      ...getVideoEncoderOptions(family, config, variant.dynamicRange),
+      "-an", // Audio comes from the EXT-X-MEDIA group
+    ];
+  } else {
+    streamOptions = [
+      ...getVideoEncoderOptions(family, config, variant.dynamicRange), // Codec, rate control and profile
+      "-c:a aac", // Audio codec
+      `-b:a ${config.audioBitrate}`,
+      `-ar ${AUDIO_SAMPLE_RATE}`,
+      ...(variant.loudnorm ? [`-af ${variant.loudnorm}`] : []),
+    ];
+  }
+
+  return [
+    ...streamOptions,
+    `-hls_time ${HLS_SEGMENT_DURATION}`, // 10 second segments (AWS ETS default)
+    "-hls_playlist_type vod", // Video on demand
+    ...segmentOptions,
+    "-start_number 0",
+    "-hls_base_url",
+    "", // Relative URLs in playlist
+    "-f hls", // HLS format
+  ];
+}
+
+async function transcodeToHLS(
+  inputPath,
+  outputPath,
+  variant,
+  jobId,
+  progressCallback,
+) {
+  const { id, resolution, family, segmentType } = variant;
+  const outputDir = dirname(outputPath);
+
+  // Get format-specific input options
+  const inputOptions = getFormatSpecificOptions(inputPath);
+
+  return new Promise((resolve, reject) => {
+    let command = ffmpeg(inputPath);
+
+    // Apply format-specific input options if any
+    if (inputOptions.length > 0) {
+      command = command.inputOptions(inputOptions);
+    }
+
+    let streamOptions;
+    if (variant.type !== "video") {
+      streamOptions = ["-map", `0:a:${variant.streamIndex ?? 0}`]; // Source track
+    } else if (variant.watermark) {
+      // The logo is a second input, so the video goes through a filter
+      // graph instead of -vf
+      command = command.input(variant.watermark.path);
+      streamOptions = [
+        "-filter_complex",
+        getWatermarkedFilterGraph(variant, "0:v:0"),
+        "-map",
+        "[out]",
+        ...getMuxedAudioMap(variant),
+      ];
+    } else {
+      streamOptions = [
+        "-map",
+        "0:v:0",
+        ...getMuxedAudioMap(variant),
+        `-vf ${getFullVideoFilter(variant)}`, // Deinterlace and scale video
+      ];
+    }
+
+    command
+      .addOptions([
+        ...getHLSOutputOptions(variant, outputDir),
+        ...streamOptions,
+      ])
+      .output(outputPath);
+
+    command.on("start", async (commandLine) => {
+      await JobManager.addJobLog(
+        jobId,
+        LOG_LEVELS.DEBUG,
+        `FFmpeg command started for ${id}`,
+        "transcoding",
+        {
+          resolution,
+          codec: family,
+          command: commandLine,
+        },
+      );
+    });
+
+    command.on("progress", async (progress) => {
+      if (progressCallback) {
+        progressCallback(progress.percent || 0);
+      }
+
+      // Log progress every 25%
+      const percent = Math.round(progress.percent || 0);
+      if (percent % 25 === 0 && percent > 0) {
+        await JobManager.addJobLog(
+          jobId,
+          LOG_LEVELS.INFO,
+          `${id} transcoding progress: ${percent}%`,
+          "transcoding",
+          {
+            resolution,
+            codec: family,
+            progress: percent,
+          },
+        );
+      }
+    });
+
+    command.on("end", async () => {
+      await JobManager.addJobLog(
+        jobId,
+        LOG_LEVELS.INFO,
+        `${id} transcoding completed`,
+        "transcoding",
+        {
+          resolution,
+          codec: family,
+          outputPath,
+        },
+      );
+
+      try {
+        normalizeVariantPlaylist(outputPath, segmentType);
+      } catch (playlistError) {
+        reject(
+          new TranscodingError(
+            `Invalid playlist for ${id}: ${playlistError.message}`,
+            "transcode",
+            playlistError,
+          ),
+        );
+        return;
+      }
+      resolve();
+    });
+
+    command.on("error", async (err) => {
+      await JobManager.addJobLog(
+        jobId,
+        LOG_LEVELS.ERROR,
+        `${id} transcoding failed: ${err.message}`,
+        "transcoding",
         {
           resolution,
+          codec: family,
+          error: err.message,
+          stack: err.stack,
+        },
+      );
+      reject(
+        new TranscodingError(
+          `Transcoding failed for ${id}: ${err.message}`,
+          "transcode",
+          err,
+        ),
+      );
+    });
+
+    command.run();
+  });
+}
+
+// Single-file MP4 with the moov atom up front, so it can start playing
+// before it has fully downloaded
+function encodeDownload(
+  inputPath,
+  outputPath,
+  variant,
+  audioTrack,
+  jobId,
+  progressCallback,
+) {
+  const { resolution, config } = variant;
+  const audioOptions = audioTrack
+    ? [
+        "-map",
+        `0:a:${audioTrack.index}`,
+        "-c:a aac",
+        `-b:a ${config.audioBitrate}`,
+        "-ac 2",
+        ...(audioTrack.loudnorm ? [`-af ${audioTrack.loudnorm}`] : []),
+      ]
+    : ["-an"];
+
+  const videoOptions = variant.watermark
+    ? [
+        "-filter_complex",
+        getWatermarkedFilterGraph(variant, "0:v:0"),
+        "-map",
+        "[out]",
+      ]
+    : ["-map", "0:v:0", `-vf ${getFullVideoFilter(variant)}`];
+
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath).inputOptions(
+      getFormatSpecificOptions(inputPath),
+    );
+    if (variant.watermark) {
+      command.input(variant.watermark.path);
+    }
+
+    command
+      .outputOptions([
+        ...videoOptions,
+        ...getVideoEncoderOptions(DEFAULT_CODEC_FAMILY, config),
+        ...audioOptions,
+        "-sn",
+        "-movflags +faststart",
+      ])
+      .output(outputPath)
+      .on("start", async (commandLine) => {
+        await JobManager.addJobLog(
+          jobId,
+          LOG_LEVELS.DEBUG,
+          `FFmpeg command started for ${resolution} download`,
+          "downloads",
+          { command: commandLine },
+        );
+      })
+      .on("progress", (progress) => {
+        if (progressCallback) {
+          progressCallback(progress.percent || 0);
+        }
+      })
+      .on("end", resolve)
+      .on("error", (err) => {
+        reject(
+          new TranscodingError(
+            `Download encode failed for ${resolution}: ${err.message}`,
+            "downloads",
+            err,
+          ),
+        );
+      })
+      .run();
+  });
+}
+
+// Decodes the source once and fans out to every variant through a
+// split/scale filter graph, writing one HLS output per variant
+async function transcodeToHLSSinglePass(
+  inputPath,
+  variantOutputs,
+  jobId,
+  progressCallback,
+) {
+  const inputOptions = getFormatSpecificOptions(inputPath);
+  const ids = variantOutputs.map((v) => v.id);
+  const videoOutputs = variantOutputs.filter((v) => v.type === "video");
+
+  const splitLabels = videoOutputs.map((_, i) => `[split${i}]`).join("");
+  const deinterlaceFilter = videoOutputs[0]
+    ? getDeinterlaceFilter(videoOutputs[0])
+    : null;
+  // Watermarked variants of a job share one logo (HDR rungs may go without
+  // it); the logo input is split alongside the video and scaled per rung
+  const watermarked = videoOutputs.filter((v) => v.watermark);
+  const watermark = watermarked[0]?.watermark;
+  const filterGraph = [
+    `[0:v:0]${deinterlaceFilter ? `${deinterlaceFilter},` : ""}split=${videoOutputs.length}${splitLabels}`,
+    ...(watermark
+      ? [
+          `[1:v]split=${watermarked.length}${watermarked.map((_, k) => `[logo${k}]`).join("")}`,
+        ]
+      : []),
+    ...videoOutputs.flatMap((variant, i) =>
+      variant.watermark
+        ? [
+            `[split${i}]${getVideoFilter(variant)}[scaled${i}]`,
+            ...getWatermarkFilters(
+              variant,
+              `scaled${i}`,
+              `logo${watermarked.indexOf(variant)}`,
+              `out${i}`,
+            ),
+          ]
+        : [`[split${i}]${getVideoFilter(variant)}[out${i}]`],
+    ),
+  ].join(";");
+
+  return new Promise((resolve, reject) => {
+    let command = ffmpeg(inputPath);
+
+    if (inputOptions.length > 0) {
+      command = command.inputOptions(inputOptions);
+    }
+
+    if (watermark) {
+      command.input(watermark.path);
+    }
+
+    if (videoOutputs.length > 0) {
+      command.complexFilter(filterGraph);
+    }
+
+    variantOutputs.forEach((variant) => {
+      let maps;
+      if (variant.type === "audio") {
+        maps = ["-map", `0:a:${variant.streamIndex ?? 0}`];
+      } else {
+        const index = videoOutputs.indexOf(variant);
+        maps = variant.audioGroup
+          ? ["-map", `[out${index}]`]
+          : ["-map", `[out${index}]`, ...getMuxedAudioMap(variant)];
+      }
+
+      command
+        .output(variant.playlistPath)
+        .outputOptions([
+          ...maps,
+          ...getHLSOutputOptions(variant, dirname(variant.playlistPath)),
+        ]);
+    });
+
+    command.on("start", async (commandLine) => {
+      await JobManager.addJobLog(
+        jobId,
+        LOG_LEVELS.DEBUG,
+        "FFmpeg single-pass command started",
+        "transcoding",
+        {
+          variants: ids,
           command: commandLine,
         },
       );
     });
 
+    let lastLoggedPercent = 0;
     command.on("progress", async (progress) => {
       if (progressCallback) {
         progressCallback(progress.percent || 0);
       }
 
-      // Log progress every 25%
+      // Every variant advances together; log progress every 25%
       const percent = Math.round(progress.percent || 0);
-      if (percent % 25 === 0 && percent > 0) {
+      if (percent % 25 === 0 && percent > lastLoggedPercent) {
+        lastLoggedPercent = percent;
         await JobManager.addJobLog(
           jobId,
           LOG_LEVELS.INFO,
-          `${resolution} transcoding progress: ${percent}%`,
+          `Single-pass transcoding progress: ${percent}%`,
           "transcoding",
           {
-            resolution,
+            variants: ids,
             progress: percent,
           },
         );
@@ -1226,13 +4873,27 @@ async function transcodeToHLS(
       await JobManager.addJobLog(
         jobId,
         LOG_LEVELS.INFO,
-        `${resolution} transcoding completed`,
+        `Single-pass transcoding completed for ${ids.join(", ")}`,
         "transcoding",
         {
-          resolution,
-          outputPath,
+          variants: ids,
         },
       );
+
+      try {
+        for (const variant of variantOutputs) {
+          normalizeVariantPlaylist(variant.playlistPath, variant.segmentType);
+        }
+      } catch (playlistError) {
+        reject(
+          new TranscodingError(
+            `Invalid playlist after single pass: ${playlistError.message}`,
+            "transcode",
+            playlistError,
+          ),
+        );
+        return;
+      }
       resolve();
     });
 
@@ -1240,17 +4901,17 @@ async function transcodeToHLS(
       await JobManager.addJobLog(
         jobId,
         LOG_LEVELS.ERROR,
-        `${resolution} transcoding failed: ${err.message}`,
+        `Single-pass transcoding failed: ${err.message}`,
         "transcoding",
         {
-          resolution,
+          variants: ids,
           error: err.message,
           stack: err.stack,
         },
       );
       reject(
         new TranscodingError(
-          `Transcoding failed for ${resolution}: ${err.message}`,
+          `Single-pass transcoding failed: ${err.message}`,
           "transcode",
           err,
         ),
@@ -1261,29 +4922,632 @@ async function transcodeToHLS(
   });
 }
 
+function getQualityWindow(duration) {
+  const sampleDuration = Math.min(
+    QUALITY_SAMPLE_DURATION,
+    duration || QUALITY_SAMPLE_DURATION,
+  );
+  return {
+    start: Math.round(Math.max(0, (duration - sampleDuration) / 2) * 100) / 100,
+    duration: Math.round(sampleDuration * 100) / 100,
+  };
+}
+
+// Filter graph comparing a rendition (input 0) with the source (input 1).
+// The source gets the same deinterlacing, frame rate and tone mapping as
+// the encode; the rendition loses its padding and is scaled back up, so
+// only compression and scaling losses are measured.
+function getQualityFilterGraph(variant, videoInfo, vmaf) {
+  const { config } = variant;
+  const display = getDisplaySize(videoInfo);
+  const size = `${toEven(display.width)}:${toEven(display.height)}`;
+  const pixelFormat = isHdr(variant) ? "yuv420p10le" : "yuv420p";
+  const padded =
+    config.width !== config.scaleWidth || config.height !== config.scaleHeight;
+
+  const distorted = [
+    ...(padded ? [`crop=${config.scaleWidth}:${config.scaleHeight}`] : []),
+    `scale=${size}:flags=bicubic`,
+    `format=${pixelFormat}`,
+    "setsar=1",
+    "setpts=PTS-STARTPTS",
+  ];
+  const reference = [
+    getDeinterlaceFilter(variant),
+    ...(config.frameRate ? [`fps=${config.frameRate}`] : []),
+    `scale=${size}`,
+    ...(variant.toneMap ? TONE_MAP_FILTERS : []),
+    `format=${pixelFormat}`,
+    "setsar=1",
+    "setpts=PTS-STARTPTS",
+  ].filter(Boolean);
+  const metrics = vmaf ? ["psnr", "ssim", "libvmaf"] : ["psnr", "ssim"];
+
+  // SSIM and PSNR pass the rendition through, so the metrics are chained
+  return [
+    `[0:v]${distorted.join(",")}[q0]`,
+    `[1:v]${reference.join(",")},split=${metrics.length}${metrics
+      .map((_, i) => `[r${i}]`)
+      .join("")}`,
+    ...metrics.map(
+      (metric, i) =>
+        `[q${i}][r${i}]${metric}${i < metrics.length - 1 ? `[q${i + 1}]` : ""}`,
+    ),
+  ].join(";");
+}
+
+async function measureRenditionQuality(
+  inputPath,
+  playlistPath,
+  variant,
+  videoInfo,
+  window,
+  vmaf,
+) {
+  const seek = [`-ss ${window.start}`, `-t ${window.duration}`];
+
+  return new Promise((resolve, reject) => {
+    ffmpeg()
+      .input(playlistPath)
+      .inputOptions(seek)
+      .input(inputPath)
+      .inputOptions([...getFormatSpecificOptions(inputPath), ...seek])
+      .outputOptions([
+        "-filter_complex",
+        getQualityFilterGraph(variant, videoInfo, vmaf),
+        "-an",
+        "-sn",
+      ])
+      .format("null")
+      .output("-")
+      .on("end", (stdout, stderr) => {
+        const metrics = parseQualityOutput(stderr);
+        if (metrics.ssim === null && metrics.psnr === null) {
+          reject(
+            new TranscodingError(
+              `No quality scores in FFmpeg output for ${variant.id}`,
+              "quality",
+            ),
+          );
+          return;
+        }
+        resolve(metrics);
+      })
+      .on("error", (err) => {
+        reject(
+          new TranscodingError(
+            `Quality measurement failed for ${variant.id}: ${err.message}`,
+            "quality",
+            err,
+          ),
+        );
+      })
+      .run();
+  });
+}
+
+// SSIM and PSNR print their averages when the graph closes, e.g.
+// "SSIM Y:0.98 ... All:0.981234 (17.25)", "PSNR y:41.2 ... average:42.01"
+// and "VMAF score: 93.41"
+function parseQualityOutput(stderr) {
+  const text = stderr || "";
+  const ssim = text.match(/SSIM .*All:([\d.]+)/);
+  const psnr = text.match(/PSNR .*average:(inf|[\d.]+)/);
+  const vmaf = text.match(/VMAF score[:=]\s*([\d.]+)/);
+  const round = (value, places) =>
+    Math.round(parseFloat(value) * 10 ** places) / 10 ** places;
+
+  return {
+    ssim: ssim ? round(ssim[1], 4) : null,
+    // Identical frames have infinite PSNR, which JSON cannot carry
+    psnr: psnr ? (psnr[1] === "inf" ? null : round(psnr[1], 2)) : null,
+    vmaf: vmaf ? round(vmaf[1], 2) : null,
+  };
+}
+
+function formatQualityMetrics(metrics) {
+  return [
+    metrics.vmaf !== null ? `VMAF ${metrics.vmaf}` : null,
+    metrics.ssim !== null ? `SSIM ${metrics.ssim}` : null,
+    metrics.psnr !== null ? `PSNR ${metrics.psnr}dB` : null,
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+// Splits an embedded subtitle stream or a normalised sidecar caption into
+// an HLS subtitle rendition covering the whole video duration
+async function createSubtitleRendition(
+  inputPath,
+  playlistPath,
+  variant,
+  duration,
+  timestampOffset,
+  jobId,
+) {
+  const { id, streamIndex } = variant;
+  const outputDir = dirname(playlistPath);
+
+  let content;
+  if (variant.sourcePath) {
+    content = readFileSync(variant.sourcePath, "utf8");
+  } else {
+    const fullTrackPath = join(outputDir, "full.vtt.tmp");
+    await convertSubtitleStream(
+      inputPath,
+      streamIndex,
+      fullTrackPath,
+      id,
+      jobId,
+    );
+    content = readFileSync(fullTrackPath, "utf8");
+    rmSync(fullTrackPath, { force: true });
+  }
+
+  const segments = segmentWebVTT(
+    content,
+    duration,
+    SUBTITLE_SEGMENT_DURATION,
+    timestampOffset,
+  );
+
+  const playlist = [
+    "#EXTM3U",
+    "#EXT-X-VERSION:3",
+    `#EXT-X-TARGETDURATION:${SUBTITLE_SEGMENT_DURATION}`,
+    "#EXT-X-MEDIA-SEQUENCE:0",
+    "#EXT-X-PLAYLIST-TYPE:VOD",
+  ];
+  segments.forEach((segment, i) => {
+    const segmentName = `index-${String(i).padStart(5, "0")}.vtt`;
+    writeFileSync(join(outputDir, segmentName), segment.content);
+    playlist.push(`#EXTINF:${segment.duration.toFixed(6)},`, segmentName);
+  });
+  playlist.push("#EXT-X-ENDLIST");
+
+  writeFileSync(playlistPath, playlist.join("\n"));
+
+  await JobManager.addJobLog(
+    jobId,
+    LOG_LEVELS.INFO,
+    `${id} converted to ${segments.length} WebVTT segments`,
+    "transcoding",
+    {
+      cues: segments.reduce((total, s) => total + s.cueCount, 0),
+    },
+  );
+}
+
+function convertSubtitleStream(inputPath, streamIndex, outputPath, id, jobId) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .outputOptions(["-map", `0:s:${streamIndex}`, "-c:s webvtt", "-f webvtt"])
+      .output(outputPath)
+      .on("start", async (commandLine) => {
+        await JobManager.addJobLog(
+          jobId,
+          LOG_LEVELS.DEBUG,
+          `FFmpeg command started for ${id}`,
+          "transcoding",
+          {
+            command: commandLine,
+          },
+        );
+      })
+      .on("end", resolve)
+      .on("error", (err) => {
+        reject(
+          new TranscodingError(
+            `Subtitle conversion failed for ${id}: ${err.message}`,
+            "transcode",
+            err,
+          ),
+        );
+      })
+      .run();
+  });
+}
+
+function parseVTTTimestamp(value) {
+  const parts = value.split(":").map(parseFloat);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+function formatVTTTimestamp(seconds) {
+  const millis = Math.round(seconds * 1000);
+  const hours = Math.floor(millis / 3600000);
+  const minutes = Math.floor((millis % 3600000) / 60000);
+  const secs = Math.floor((millis % 60000) / 1000);
+
+  return `${[hours, minutes, secs]
+    .map((v) => v.toString().padStart(2, "0"))
+    .join(":")}.${(millis % 1000).toString().padStart(3, "0")}`;
+}
+
+// Splits a WebVTT document into fixed-length segments. Cues spanning a
+// boundary are repeated in every segment they overlap, as HLS requires.
+// X-TIMESTAMP-MAP ties cue time 0 to the start of the video timeline.
+function segmentWebVTT(content, duration, segmentDuration, timestampOffset) {
+  const cues = content
+    .replace(/\r\n/g, "\n")
+    .split(/\n{2,}/)
+    .map((block) => block.split("\n"))
+    .map((lines) => {
+      const timingIndex = lines.findIndex((line) => line.includes("-->"));
+      if (timingIndex === -1) {
+        return null; // Header, NOTE or STYLE block
+      }
+      const [start, end] = lines[timingIndex]
+        .split("-->")
+        .map((part) => parseVTTTimestamp(part.trim().split(/\s+/)[0]));
+      return { start, end, text: lines.slice(timingIndex).join("\n") };
+    })
+    .filter(Boolean);
+
+  const header = [
+    "WEBVTT",
+    `X-TIMESTAMP-MAP=MPEGTS:${timestampOffset},LOCAL:00:00:00.000`,
+  ].join("\n");
+
+  const segments = [];
+  const segmentCount = Math.max(1, Math.ceil(duration / segmentDuration));
+  for (let i = 0; i < segmentCount; i++) {
+    const start = i * segmentDuration;
+    const end = Math.min(start + segmentDuration, duration || segmentDuration);
+    const segmentCues = cues.filter(
+      (cue) => cue.start < end && cue.end > start,
+    );
+
+    segments.push({
+      duration: end - start,
+      cueCount: segmentCues.length,
+      content:
+        [header, ...segmentCues.map((cue) => cue.text)].join("\n\n") + "\n",
+    });
+  }
+
+  return segments;
+}
+
+// FFmpeg can write segment and EXT-X-MAP URIs with the local output
+// directory in them. Rewrite them relative to the playlist and make sure
+// fMP4 playlists reference their init segment.
+function normalizeVariantPlaylist(playlistPath, segmentType) {
+  const lines = readFileSync(playlistPath, "utf8")
+    .split("\n")
+    .map((line) => {
+      if (line.startsWith("#EXT-X-MAP:")) {
+        return line.replace(/URI="([^"]+)"/, (match, uri) => {
+          return `URI="${basename(uri)}"`;
+        });
+      }
+      if (line && !line.startsWith("#")) {
+        return basename(line);
+      }
+      return line;
+    });
+
+  if (
+    segmentType === "fmp4" &&
+    !lines.some((line) => line.startsWith("#EXT-X-MAP:"))
+  ) {
+    if (!existsSync(join(dirname(playlistPath), "init.mp4"))) {
+      throw new Error("fMP4 init segment init.mp4 was not written");
+    }
+    const firstSegment = lines.findIndex((line) => line.startsWith("#EXTINF"));
+    lines.splice(firstSegment, 0, '#EXT-X-MAP:URI="init.mp4"');
+  }
+
+  writeFileSync(playlistPath, lines.join("\n"));
+}
+
 async function createMasterPlaylist(transcodedFiles, outputPath, videoInfo) {
   const masterPlaylist = ["#EXTM3U"];
 
-  // Sort resolutions by quality (highest first) to match AWS ETS behavior
-  const sortedFiles = transcodedFiles.sort((a, b) => {
-    const aConfig = RESOLUTION_CONFIGS[a.resolution];
-    const bConfig = RESOLUTION_CONFIGS[b.resolution];
-    return bConfig.height - aConfig.height;
+  const audioFiles = transcodedFiles.filter((f) => f.type === "audio");
+  const subtitleFiles = transcodedFiles.filter((f) => f.type === "subtitle");
+  const videoFiles = transcodedFiles.filter((f) => f.type === "video");
+
+  // Audio groups come first so STREAM-INF entries can reference them
+  audioFiles.forEach((audio) => {
+    const attributes = [
+      "TYPE=AUDIO",
+      `GROUP-ID="${audio.groupId}"`,
+      `NAME="${audio.name}"`,
+      audio.language ? `LANGUAGE="${audio.language}"` : null,
+      `DEFAULT=${audio.isDefault ? "YES" : "NO"}`,
+      "AUTOSELECT=YES",
+      'CHANNELS="2"',
+      `URI="hls_${audio.id}/index-.m3u8"`,
+    ].filter(Boolean);
+    masterPlaylist.push(`#EXT-X-MEDIA:${attributes.join(",")}`);
   });
 
-  sortedFiles.forEach(({ resolution }) => {
-    const config = RESOLUTION_CONFIGS[resolution];
-    const bandwidth = parseInt(config.bitrate) * 1000;
+  subtitleFiles.forEach((subtitle) => {
+    const attributes = [
+      "TYPE=SUBTITLES",
+      `GROUP-ID="${subtitle.groupId}"`,
+      `NAME="${subtitle.name}"`,
+      subtitle.language ? `LANGUAGE="${subtitle.language}"` : null,
+      `DEFAULT=${subtitle.isDefault ? "YES" : "NO"}`,
+      "AUTOSELECT=YES",
+      subtitle.isForced ? "FORCED=YES" : null,
+      `URI="hls_${subtitle.id}/index-.m3u8"`,
+    ].filter(Boolean);
+    masterPlaylist.push(`#EXT-X-MEDIA:${attributes.join(",")}`);
+  });
+
+  // One variant set per codec family, H.264 first so players that only
+  // try the first entry still start on a stream they can decode. Within a
+  // set, sort by quality (highest first) to match AWS ETS behavior.
+  const familyOrder = Object.keys(CODEC_FAMILIES);
+  const sortedFiles = videoFiles.sort(
+    (a, b) =>
+      familyOrder.indexOf(a.family) - familyOrder.indexOf(b.family) ||
+      isHdr(a) - isHdr(b) ||
+      b.config.height - a.config.height,
+  );
+
+  sortedFiles.forEach((file) => {
+    const { id, family, config, audioGroup, subtitleGroup } = file;
+    const dynamicRange = file.dynamicRange || "sdr";
+    let bandwidth = getBandwidth(family, config);
+    let codecs = getCodecsString(family, config, dynamicRange);
+    let audioAttribute = "";
+
+    if (audioGroup) {
+      const groupBitrate = Math.max(
+        ...audioFiles
+          .filter((audio) => audio.groupId === audioGroup)
+          .map((audio) => parseInt(audio.bitrate)),
+      );
+      bandwidth += groupBitrate * 1000;
+      codecs = `${getVideoCodecString(family, config, dynamicRange)},${AUDIO_CODEC_STRING}`;
+      audioAttribute = `,AUDIO="${audioGroup}"`;
+    }
+
+    // Required by Apple for anything other than SDR
+    const videoRangeAttribute = isHdr(file)
+      ? `,VIDEO-RANGE=${dynamicRange.toUpperCase()}`
+      : "";
+
+    // Resumed jobs may not have subtitle renditions from before
+    const subtitleAttribute =
+      subtitleGroup && subtitleFiles.length > 0
+        ? `,SUBTITLES="${subtitleGroup}"`
+        : "";
 
     masterPlaylist.push(
-      `#EXT-X-STREAM-INF:PROGRAM-ID=1,BANDWIDTH=${bandwidth},RESOLUTION=${config.width}x${config.height},CODECS="${config.codecs}"`,
-      `hls_${resolution}/index-.m3u8`,
+      `#EXT-X-STREAM-INF:PROGRAM-ID=1,BANDWIDTH=${bandwidth},RESOLUTION=${config.width}x${config.height},CODECS="${codecs}"${videoRangeAttribute}${audioAttribute}${subtitleAttribute}`,
+      `hls_${id}/index-.m3u8`,
     );
   });
 
+  // I-frame renditions for scrubbing and trick play, in the same order
+  sortedFiles
+    .filter((file) => file.iFrames)
+    .forEach((file) => {
+      const { id, family, config, iFrames } = file;
+      const dynamicRange = file.dynamicRange || "sdr";
+      const attributes = [
+        `BANDWIDTH=${iFrames.bandwidth}`,
+        `AVERAGE-BANDWIDTH=${iFrames.averageBandwidth}`,
+        `RESOLUTION=${config.width}x${config.height}`,
+        `CODECS="${getVideoCodecString(family, config, dynamicRange)}"`,
+        isHdr(file) ? `VIDEO-RANGE=${dynamicRange.toUpperCase()}` : null,
+        `URI="hls_${id}/iframes.m3u8"`,
+      ].filter(Boolean);
+      masterPlaylist.push(`#EXT-X-I-FRAME-STREAM-INF:${attributes.join(",")}`);
+    });
+
   writeFileSync(outputPath, masterPlaylist.join("\n"));
 }
 
+// Writes an EXT-X-I-FRAMES-ONLY playlist addressing the keyframes of a
+// variant's segments by byte range, and returns its bandwidth
+function createIFramePlaylist(playlistPath, outputPath, segmentType) {
+  const segmentDir = dirname(playlistPath);
+  const durations = readSegmentDurations(playlistPath);
+  const segmentNames = readFileSync(playlistPath, "utf8")
+    .split("\n")
+    .filter((line) => line && !line.startsWith("#"));
+
+  let map;
+  const frames = [];
+  segmentNames.forEach((name, i) => {
+    const buffer = readFileSync(join(segmentDir, name));
+
+    if (segmentType === "fmp4") {
+      // Segments start on a keyframe and hold one fragment each
+      const keyframe = findFmp4Keyframe(buffer);
+      frames.push({ name, ...keyframe, duration: durations[i] });
+      return;
+    }
+
+    const { tableLength, keyframes } = findTsKeyframes(buffer);
+    map = map || `#EXT-X-MAP:URI="${name}",BYTERANGE="${tableLength}@0"`;
+    keyframes.forEach((keyframe, k) => {
+      const next = keyframes[k + 1];
+      const duration = next
+        ? next.time - keyframe.time
+        : keyframes[0].time + durations[i] - keyframe.time;
+      frames.push({ name, ...keyframe, duration });
+    });
+  });
+
+  if (frames.length === 0) {
+    throw new Error("No keyframes found in segments");
+  }
+
+  const lines = [
+    "#EXTM3U",
+    "#EXT-X-VERSION:5",
+    `#EXT-X-TARGETDURATION:${Math.ceil(Math.max(...frames.map((f) => f.duration)))}`,
+    "#EXT-X-MEDIA-SEQUENCE:0",
+    "#EXT-X-PLAYLIST-TYPE:VOD",
+    "#EXT-X-I-FRAMES-ONLY",
+    segmentType === "fmp4" ? '#EXT-X-MAP:URI="init.mp4"' : map,
+  ];
+  frames.forEach(({ name, offset, length, duration }) => {
+    lines.push(
+      `#EXTINF:${duration.toFixed(6)},`,
+      `#EXT-X-BYTERANGE:${length}@${offset}`,
+      name,
+    );
+  });
+  lines.push("#EXT-X-ENDLIST");
+  writeFileSync(outputPath, lines.join("\n") + "\n");
+
+  const totalBytes = frames.reduce((total, f) => total + f.length, 0);
+  const totalDuration = frames.reduce((total, f) => total + f.duration, 0);
+  return {
+    frameCount: frames.length,
+    bandwidth: Math.ceil(
+      Math.max(...frames.map((f) => (f.length * 8) / f.duration)),
+    ),
+    averageBandwidth: Math.ceil((totalBytes * 8) / totalDuration),
+  };
+}
+
+function readSegmentDurations(playlistPath) {
+  return readFileSync(playlistPath, "utf8")
+    .split("\n")
+    .filter((line) => line.startsWith("#EXTINF:"))
+    .map((line) => parseFloat(line.slice("#EXTINF:".length)));
+}
+
+// CICP color signalling for HDR adaptation sets (ISO/IEC 23001-8 code
+// points: BT.2020 primaries and matrix, PQ or HLG transfer)
+function getColorProperties(file) {
+  if (!isHdr(file)) {
+    return [];
+  }
+  const transfer = file.dynamicRange === "pq" ? 16 : 18;
+  return [
+    '      <EssentialProperty schemeIdUri="urn:mpeg:mpegB:cicp:ColourPrimaries" value="9"/>',
+    `      <EssentialProperty schemeIdUri="urn:mpeg:mpegB:cicp:TransferCharacteristics" value="${transfer}"/>`,
+    '      <EssentialProperty schemeIdUri="urn:mpeg:mpegB:cicp:MatrixCoefficients" value="9"/>',
+  ];
+}
+
+// Converts segment durations into <S> elements, merging runs of equal
+// durations with the r (repeat) attribute
+function buildSegmentTimeline(durations, timescale) {
+  const entries = [];
+  let time = 0;
+
+  for (const duration of durations) {
+    const d = Math.round(duration * timescale);
+    const last = entries[entries.length - 1];
+    if (last && last.d === d) {
+      last.r++;
+    } else {
+      entries.push({ t: time, d, r: 0 });
+    }
+    time += d;
+  }
+
+  return entries.map(({ t, d, r }) =>
+    r > 0 ? `<S t="${t}" d="${d}" r="${r}"/>` : `<S t="${t}" d="${d}"/>`,
+  );
+}
+
+// Static DASH manifest pointing at the fMP4 segments of the HLS renditions,
+// one adaptation set per codec family
+function createDashManifest(transcodedFiles, outputPath, videoInfo) {
+  const timescale = 1000;
+  const familyOrder = Object.keys(CODEC_FAMILIES);
+  // Subtitle renditions are HLS-only
+  const videoFiles = transcodedFiles.filter((f) => f.type === "video");
+  const audioFiles = transcodedFiles.filter((f) => f.type === "audio");
+  // SDR and HDR renditions of a family go in separate adaptation sets
+  const setKey = (f) => (isHdr(f) ? `${f.family}_hdr` : f.family);
+  const families = [...new Set(videoFiles.map(setKey))].sort(
+    (a, b) =>
+      familyOrder.indexOf(a.replace(/_hdr$/, "")) -
+        familyOrder.indexOf(b.replace(/_hdr$/, "")) || a.localeCompare(b),
+  );
+
+  const missingTimeline = transcodedFiles.filter((f) => !f.segments);
+  if (missingTimeline.length > 0) {
+    throw new TranscodingError(
+      `Missing segment timeline for ${missingTimeline.map((f) => f.id).join(", ")}`,
+      "playlist",
+    );
+  }
+
+  const segmentTemplate = (segments) => [
+    `        <SegmentTemplate timescale="${timescale}" initialization="hls_$RepresentationID$/init.mp4" media="hls_$RepresentationID$/index-$Number%05d$.m4s" startNumber="0">`,
+    "          <SegmentTimeline>",
+    ...buildSegmentTimeline(segments, timescale).map(
+      (entry) => `            ${entry}`,
+    ),
+    "          </SegmentTimeline>",
+    "        </SegmentTemplate>",
+  ];
+
+  const adaptationSets = families.map((family, index) => {
+    const familyFiles = videoFiles.filter((f) => setKey(f) === family);
+    const representations = familyFiles
+      .sort((a, b) => b.config.height - a.config.height)
+      .map((file) =>
+        [
+          `      <Representation id="${file.id}" bandwidth="${getBandwidth(file.family, file.config)}" width="${file.config.width}" height="${file.config.height}" codecs="${file.audioGroup ? getVideoCodecString(file.family, file.config, file.dynamicRange) : getCodecsString(file.family, file.config, file.dynamicRange)}">`,
+          ...segmentTemplate(file.segments),
+          "      </Representation>",
+        ].join("\n"),
+      );
+
+    return [
+      `    <AdaptationSet id="${index}" mimeType="video/mp4" segmentAlignment="true" startWithSAP="1">`,
+      ...getColorProperties(familyFiles[0]),
+      ...representations,
+      "    </AdaptationSet>",
+    ].join("\n");
+  });
+
+  // Audio renditions sharing a language form one adaptation set
+  const audioLanguages = [
+    ...new Set(audioFiles.map((f) => f.language || "und")),
+  ];
+  audioLanguages.forEach((language, index) => {
+    const languageFiles = audioFiles.filter(
+      (f) => (f.language || "und") === language,
+    );
+    const role = languageFiles[0].isDefault ? "main" : "alternate";
+    const representations = languageFiles.map((file) =>
+      [
+        `      <Representation id="${file.id}" bandwidth="${parseInt(file.bitrate) * 1000}" codecs="${AUDIO_CODEC_STRING}" audioSamplingRate="${AUDIO_SAMPLE_RATE}">`,
+        '        <AudioChannelConfiguration schemeIdUri="urn:mpeg:dash:23003:3:audio_channel_configuration:2011" value="2"/>',
+        ...segmentTemplate(file.segments),
+        "      </Representation>",
+      ].join("\n"),
+    );
+
+    adaptationSets.push(
+      [
+        `    <AdaptationSet id="${families.length + index}" mimeType="audio/mp4" lang="${language}" segmentAlignment="true" startWithSAP="1">`,
+        `      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="${role}"/>`,
+        ...representations,
+        "    </AdaptationSet>",
+      ].join("\n"),
+    );
+  });
+
+  const duration = `PT${videoInfo.duration.toFixed(3)}S`;
+  const manifest = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" profiles="urn:mpeg:dash:profile:isoff-live:2011" type="static" mediaPresentationDuration="${duration}" minBufferTime="PT2S">`,
+    `  <Period id="0" start="PT0S" duration="${duration}">`,
+    ...adaptationSets,
+    "  </Period>",
+    "</MPD>",
+    "",
+  ];
+
+  writeFileSync(outputPath, manifest.join("\n"));
+}
+
 // Helper function to format duration to hh:mm:ss
 function formatDuration(seconds) {
   if (!seconds || isNaN(seconds)) return "00:00:00";
@@ -1305,6 +5569,7 @@ async function sendCompletionCallback(
   videoName,
   environment = "production",
   callbackUrl = null,
+  outputs = {},
 ) {
   // Use custom callback URL if provided, otherwise fall back to environment variable
   const targetUrl = callbackUrl || process.env.WEBAPP_CALLBACK_URL;
@@ -1323,6 +5588,11 @@ async function sendCompletionCallback(
     jobId,
     originalKey,
     outputKey,
+    dashManifestKey: outputs.dashManifestKey || null,
+    posters: outputs.posters || [],
+    preview: outputs.preview || null,
+    trickplay: outputs.trickplay || null,
+    downloads: outputs.downloads || [],
     videoName,
     environment,
     status: "completed",
@@ -1330,7 +5600,10 @@ async function sendCompletionCallback(
     metadata: {
       duration: videoInfo.duration,
       durationFormatted: formatDuration(videoInfo.duration), // hh:mm:ss format
-      originalResolution: `${videoInfo.width}x${videoInfo.height}`,
+      originalResolution:
+        outputs.originalResolution ||
+        getOriginalOrientation(videoInfo).codedResolution,
+      preset: outputs.preset || null,
     },
   };
 